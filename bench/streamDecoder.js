@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+// Replays a P3 byte stream through StreamP3Decoder and reports records/sec and memory.
+//
+//   node bench/streamDecoder.js                     # synthetic stream of passings
+//   node bench/streamDecoder.js capture.bin         # raw bytes recorded from a decoder
+//   node bench/streamDecoder.js --records 500000 --chunk 1460 --legacy
+//   node bench/streamDecoder.js --stall 8 --chunk 512 --legacy
+//
+// --legacy also runs the previous Buffer.concat framer for comparison.
+// --stall <MB> prepends a SOR followed by MB of bytes with no EOR (a stuck or noisy link).
+
+const fs = require('fs');
+const path = require('path');
+const { StreamP3Decoder, parseRecordFromEscapedBytes, SOR, EOR } = require('../src/p3/decoder');
+const { encodeRecord } = require('../src/p3/encoder');
+
+function parseArgs(argv) {
+  const opts = { file: null, records: 200000, chunk: 1460, legacy: false, repeat: 3, stallMb: 0 };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--records') opts.records = Number(argv[++i]);
+    else if (a === '--chunk') opts.chunk = Number(argv[++i]);
+    else if (a === '--repeat') opts.repeat = Number(argv[++i]);
+    else if (a === '--legacy') opts.legacy = true;
+    else if (a === '--stall') opts.stallMb = Number(argv[++i]);
+    else opts.file = a;
+  }
+  return opts;
+}
+
+function syntheticStream(count) {
+  const parts = [];
+  const t0 = Date.now() * 1000;
+  for (let i = 1; i <= count; i++) {
+    parts.push(encodeRecord({
+      tor: 0x0001,
+      fields: [
+        { tof: 0x01, value: i },
+        { tof: 0x03, value: 1000000 + (i % 300) },
+        { tof: 0x04, value: t0 + i * 2000 },
+        { tof: 0x05, value: 80 + (i % 60) },
+        { tof: 0x06, value: 20 + (i % 40) },
+        { tof: 0x10, value: t0 + i * 2000 },
+        { tof: 0x81, value: 0x00D0C0DE }
+      ]
+    }));
+  }
+  return Buffer.concat(parts);
+}
+
+// The pre-rewrite framer: concat every chunk, re-slice after every record, no size cap
+class LegacyStreamP3Decoder {
+  constructor(onRecord) {
+    this._buf = Buffer.alloc(0);
+    this._onRecord = onRecord;
+  }
+
+  push(chunk) {
+    this._buf = Buffer.concat([this._buf, Buffer.from(chunk)]);
+    while (true) {
+      const start = this._buf.indexOf(SOR);
+      if (start < 0) {
+        this._buf = Buffer.alloc(0);
+        return;
+      }
+      if (start > 0) this._buf = this._buf.slice(start);
+      const end = this._buf.indexOf(EOR, 1);
+      if (end < 0) return;
+      const recordEscaped = this._buf.slice(0, end + 1);
+      this._buf = this._buf.slice(end + 1);
+      this._onRecord(parseRecordFromEscapedBytes(recordEscaped));
+    }
+  }
+}
+
+function run(label, Decoder, stream, chunkSize) {
+  if (global.gc) global.gc();
+  const rssBefore = process.memoryUsage().rss;
+  let records = 0;
+  let peakHeap = 0;
+  const decoder = new Decoder(() => { records++; });
+  const t0 = process.hrtime.bigint();
+  for (let i = 0; i < stream.length; i += chunkSize) {
+    decoder.push(stream.subarray(i, i + chunkSize));
+    if ((i / chunkSize) % 256 === 0) peakHeap = Math.max(peakHeap, process.memoryUsage().heapUsed);
+  }
+  const ms = Number(process.hrtime.bigint() - t0) / 1e6;
+  const mem = process.memoryUsage();
+  return {
+    label,
+    records,
+    ms: Math.round(ms),
+    recordsPerSec: Math.round(records / (ms / 1000)),
+    mbPerSec: Number((stream.length / 1024 / 1024 / (ms / 1000)).toFixed(1)),
+    peakHeapMb: Number((Math.max(peakHeap, mem.heapUsed) / 1024 / 1024).toFixed(1)),
+    rssDeltaMb: Number(((mem.rss - rssBefore) / 1024 / 1024).toFixed(1)),
+    stats: decoder.stats
+  };
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  let stream = opts.file ? fs.readFileSync(path.resolve(opts.file)) : syntheticStream(opts.records);
+  if (opts.stallMb > 0) {
+    const stall = Buffer.alloc(Math.round(opts.stallMb * 1024 * 1024), 0x42);
+    stall[0] = SOR;
+    stream = Buffer.concat([stall, stream]);
+  }
+  const chunk = Math.max(1, opts.chunk || 1460);
+  console.log(`stream: ${opts.file || `synthetic ${opts.records} passings`}, ${(stream.length / 1024 / 1024).toFixed(1)} MB, chunk ${chunk} B`);
+
+  for (let r = 1; r <= Math.max(1, opts.repeat); r++) {
+    console.log(JSON.stringify(run(`StreamP3Decoder #${r}`, StreamP3Decoder, stream, chunk)));
+    if (opts.legacy) console.log(JSON.stringify(run(`legacy #${r}`, LegacyStreamP3Decoder, stream, chunk)));
+  }
+}
+
+main();
@@ -0,0 +1,131 @@
+// In-process fan-out of what the bridge processes, for live admin clients.
+// Channels:
+//   events    transponder-events panel: { type: 'event' | 'eventUpdate', event } and { type: 'eventsCleared' }
+//   records   every payload as written to the JSON log: { type: 'record', id, eventId, source, payload }
+// meta ({ tor, torName, decoderId, transponder }) is what subscription filters match against;
+// messages without meta (eventsCleared) go to every subscriber of the channel.
+//
+// The last bufferSize records stay in a ring buffer so stream and long-poll clients can resume
+// after a short disconnect. Record ids are "<streamId>-<seq>"; streamId changes with every
+// start, so an id from before a restart is recognised as unknown instead of matching the wrong record.
+
+const CHANNELS = ['events', 'records'];
+
+function listOf(value) {
+  if (value == null || value === '') return null;
+  const items = (Array.isArray(value) ? value : String(value).split(','))
+    .map((v) => String(v).trim())
+    .filter(Boolean);
+  return items.length ? items : null;
+}
+
+// TOR names match case-insensitively; numbers may be given as 1 or 0x0001
+function torKey(value) {
+  const s = String(value).trim();
+  if (/^0x[0-9a-f]+$/i.test(s)) return String(parseInt(s, 16));
+  if (/^\d+$/.test(s)) return String(Number(s));
+  return s.toLowerCase();
+}
+
+// From query parameters or a subscribe message: { channels, tor, decoder, transponder },
+// each a list or a comma separated string. Unknown channels are an error.
+function parseFeedFilter(input = {}) {
+  const channels = listOf(input.channels) || CHANNELS;
+  const unknown = channels.filter((c) => !CHANNELS.includes(c));
+  if (unknown.length) throw new Error(`unknown channel(s): ${unknown.join(', ')} (known: ${CHANNELS.join(', ')})`);
+  return {
+    channels,
+    tor: listOf(input.tor)?.map(torKey) || null,
+    decoder: listOf(input.decoder),
+    transponder: listOf(input.transponder)
+  };
+}
+
+function matchesFeedFilter(filter, channel, meta) {
+  if (!filter.channels.includes(channel)) return false;
+  if (!meta) return true;
+  if (filter.tor) {
+    const keys = [meta.torName, meta.tor].filter((v) => v != null).map(torKey);
+    if (!keys.some((k) => filter.tor.includes(k))) return false;
+  }
+  if (filter.decoder && !filter.decoder.includes(String(meta.decoderId))) return false;
+  if (filter.transponder && !filter.transponder.includes(String(meta.transponder))) return false;
+  return true;
+}
+
+// Filter fields of a transponder-events entry (its type is the TOR name)
+function eventMeta(event) {
+  return { tor: event?.tor, torName: event?.type, decoderId: event?.decoderId, transponder: event?.transponder };
+}
+
+class LiveFeed {
+  constructor({ logger, bufferSize = 1000 } = {}) {
+    this.logger = logger;
+    this.listeners = new Set();
+    this.bufferSize = Math.max(0, Number(bufferSize) || 0);
+    this.buffer = [];
+    this.streamId = Date.now().toString(36);
+    this.seq = 0;
+  }
+
+  get size() {
+    return this.listeners.size;
+  }
+
+  // Id of the newest record published so far (valid for since() even before the first record)
+  get headId() {
+    return `${this.streamId}-${this.seq}`;
+  }
+
+  // Buffered records after lastId: { entries: [{ id, message, meta }], gap }.
+  // gap is null, { reason: 'unknown-id' } (restart, or an id from another bridge) or
+  // { reason: 'overrun', missed } (the client was away longer than the buffer covers);
+  // with a gap, entries is everything still buffered. No lastId means the whole buffer.
+  since(lastId) {
+    if (lastId == null || lastId === '') return { entries: this.buffer.slice(), gap: null };
+    const m = String(lastId).match(/^([0-9a-z]+)-(\d+)$/);
+    const seq = m ? Number(m[2]) : NaN;
+    if (!m || m[1] !== this.streamId || seq > this.seq) {
+      return { entries: this.buffer.slice(), gap: { reason: 'unknown-id' } };
+    }
+    const oldest = this.buffer.length ? this.buffer[0].seq : this.seq + 1;
+    if (seq < oldest - 1) {
+      return { entries: this.buffer.slice(), gap: { reason: 'overrun', missed: oldest - 1 - seq } };
+    }
+    return { entries: this.buffer.filter((e) => e.seq > seq), gap: null };
+  }
+
+  // Newest buffered record message for which match(message) is true, or null
+  latest(match) {
+    for (let i = this.buffer.length - 1; i >= 0; i -= 1) {
+      if (match(this.buffer[i].message)) return this.buffer[i].message;
+    }
+    return null;
+  }
+
+  // listener(channel, message, meta); returns an unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  publish(channel, message, meta = null) {
+    if (channel === 'records') {
+      this.seq += 1;
+      message = { ...message, id: `${this.streamId}-${this.seq}` };
+      if (this.bufferSize) {
+        this.buffer.push({ id: message.id, seq: this.seq, message, meta });
+        if (this.buffer.length > this.bufferSize) this.buffer.splice(0, this.buffer.length - this.bufferSize);
+      }
+    }
+    for (const listener of this.listeners) {
+      try {
+        listener(channel, message, meta);
+      } catch (err) {
+        this.logger?.warnMeta('Live feed listener failed', { channel, message: err?.message });
+      }
+    }
+  }
+}
+
+module.exports = { LiveFeed, CHANNELS, parseFeedFilter, matchesFeedFilter, eventMeta };
@@ -3,6 +3,10 @@ const path = require('path');
 const express = require('express');
 const { execSync, execFile } = require('child_process');
 const { promisify } = require('util');
+const { attachWebSocketFeed } = require('./wsFeed');
+const { mountEventStream } = require('./sseFeed');
+const { compileTransform, resolveSpec, PRESETS, COMPUTED } = require('../sinks/transform');
+const { samplePassingPayload } = require('../p3/payload');
 
 const execFileAsync = promisify(execFile);
 
@@ -191,7 +195,18 @@ async function atomicWriteJson(filePath, obj) {
   await fs.promises.rename(tmp, filePath);
 }
 
-function startAdminServer({ logger, cfgPath, cfgRef, state, requestRestart, setTarget, clearRecentEvents, resetStats, setTimerInterval, logDir, logPrefixes }) {
+// HTTP status for CommandChannel / sendDecoderCommand error codes
+const COMMAND_ERROR_STATUS = {
+  UNKNOWN_COMMAND: 400,
+  BAD_PARAMS: 400,
+  CONFIRM_REQUIRED: 400,
+  UNKNOWN_TARGET: 404,
+  NOT_CONNECTED: 409,
+  DECODER_ERROR: 502,
+  TIMEOUT: 504
+};
+
+function startAdminServer({ logger, cfgPath, cfgRef, state, requestRestart, setTarget, clearRecentEvents, resetStats, setTimerInterval, sendDecoderCommand, listQuarantine, getQuarantined, releaseQuarantined, discardQuarantined, listSinks, listRoutes, liveFeed, reloadProtocolDefinitions, getProtocolDefinitions, logDir, logPrefixes }) {
   let pkgVersion = '';
   try {
     const pj = JSON.parse(fs.readFileSync(path.join(process.cwd(),'package.json'),'utf8'));
@@ -221,15 +236,19 @@ function startAdminServer({ logger, cfgPath, cfgRef, state, requestRestart, setT
   app.disable('x-powered-by');
   app.use(express.json({ limit: '256kb' }));
 
-  // Optional bearer token auth
-  app.use((req, res, next) => {
-    if (!token) return next();
+  // Optional bearer token auth; query is req.query or the URLSearchParams of a WebSocket upgrade
+  const isAuthorized = (req, query) => {
+    if (!token) return true;
     const hdr = req.headers.authorization || '';
     const bearer = hdr.toLowerCase().startsWith('bearer ') ? hdr.slice(7).trim() : null;
     const xTok = (req.headers['x-admin-token'] || '').toString().trim() || null;
-    const qTok = (req.query.token || '').toString().trim() || null;
+    const qRaw = typeof query?.get === 'function' ? query.get('token') : query?.token;
+    const qTok = (qRaw || '').toString().trim() || null;
     const got = bearer || xTok || qTok;
-    if (got && got === token) return next();
+    return Boolean(got && got === token);
+  };
+  app.use((req, res, next) => {
+    if (isAuthorized(req, req.query)) return next();
     res.status(401).json({ ok: false, error: 'unauthorized' });
   });
 
@@ -257,6 +276,7 @@ function startAdminServer({ logger, cfgPath, cfgRef, state, requestRestart, setT
       settings: {
         admin: c.admin || {},
         post: c.post || {},
+        sinks: c.sinks || null,
         logging: c.logging || {},
         defaults: c.defaults || {},
         decoder: c.decoder || {}
@@ -290,7 +310,8 @@ function startAdminServer({ logger, cfgPath, cfgRef, state, requestRestart, setT
         'defaults.mode', 'defaults.tcpHost', 'defaults.tcpPort', 'defaults.udpListenPort', 'defaults.connectTimeoutMs',
         // Decoder reconnect tuning
         'decoder.reconnect.baseDelayMs', 'decoder.reconnect.maxDelayMs',
-        'decoder.reconnect.backoffFactor', 'decoder.reconnect.jitterRatio', 'decoder.reconnect.connectTimeoutMs'
+        'decoder.reconnect.backoffFactor', 'decoder.reconnect.jitterRatio', 'decoder.reconnect.connectTimeoutMs',
+        'decoder.commandTimeoutMs', 'decoder.normalizeUnits', 'decoder.crcPolicy'
       ];
 
       const { applied, rejected } = applyAllowedPatch(live, patch, allowList);
@@ -433,6 +454,184 @@ function startAdminServer({ logger, cfgPath, cfgRef, state, requestRestart, setT
     }
   });
 
+  // Merged P3 definitions (built-in tables plus config overrides)
+  app.get('/admin/api/protocol', (req, res) => {
+    if (typeof getProtocolDefinitions !== 'function') {
+      return res.status(501).json({ ok: false, error: 'protocol definitions not available' });
+    }
+    res.json({ ok: true, at: nowIso(), definitions: getProtocolDefinitions() });
+  });
+
+  // Re-read protocol.definitionsFile and the config.json protocol section without a restart
+  app.post('/admin/api/protocol/reload', (req, res) => {
+    if (typeof reloadProtocolDefinitions !== 'function') {
+      return res.status(501).json({ ok: false, error: 'protocol reload not available' });
+    }
+    const result = reloadProtocolDefinitions('admin');
+    if (!result.ok) return res.status(400).json({ ok: false, error: result.error });
+    res.json({ ok: true, at: nowIso(), sources: result.sources });
+  });
+
+  // Send a command (ping, version, getTime, resendPassings, clearPassings, reset) to one connected decoder
+  app.post('/admin/api/decoders/:target/command', async (req, res) => {
+    const body = req.body || {};
+    const command = (body.command || req.query.command || '').toString().trim();
+    const confirm = body.confirm === true || req.query.confirm === 'true';
+    try {
+      if (typeof sendDecoderCommand !== 'function') {
+        return res.status(501).json({ ok: false, error: 'decoder commands not available' });
+      }
+      if (!command) return res.status(400).json({ ok: false, error: 'command is required' });
+
+      const result = await sendDecoderCommand({
+        target: req.params.target,
+        command,
+        params: body.params,
+        confirm,
+        timeoutMs: safeInt(body.timeoutMs, undefined)
+      });
+      // Commands the decoder does not answer (reset) only report that they were written
+      if (result.sent) {
+        return res.json({ ok: true, at: nowIso(), target: result.source, command: result.command, requestId: result.requestId, sent: true });
+      }
+      res.json({
+        ok: true,
+        at: nowIso(),
+        target: result.source,
+        command: result.command,
+        requestId: result.requestId,
+        rttMs: result.rttMs,
+        response: {
+          tor: result.response.tor,
+          torName: result.response.torName,
+          crcOk: result.response.crc?.ok,
+          decoded: result.decoded,
+          fields: result.response.fields
+        }
+      });
+    } catch (e) {
+      const status = COMMAND_ERROR_STATUS[e?.code] || 500;
+      logger.warnMeta('Admin decoder command failed', { target: req.params.target, command, code: e?.code, message: e?.message });
+      res.status(status).json({ ok: false, code: e?.code || null, error: e?.message || 'decoder command failed' });
+    }
+  });
+
+  // Records held back by decoder.crcPolicy = "quarantine" (newest first)
+  app.get('/admin/api/quarantine', (req, res) => {
+    if (typeof listQuarantine !== 'function') {
+      return res.status(501).json({ ok: false, error: 'quarantine not available' });
+    }
+    const entries = listQuarantine(safeInt(req.query.limit, undefined));
+    res.json({ ok: true, at: nowIso(), count: entries.length, entries });
+  });
+
+  app.get('/admin/api/quarantine/:id', (req, res) => {
+    if (typeof getQuarantined !== 'function') {
+      return res.status(501).json({ ok: false, error: 'quarantine not available' });
+    }
+    const entry = getQuarantined(req.params.id);
+    if (!entry) return res.status(404).json({ ok: false, error: 'quarantined record not found' });
+    res.json({ ok: true, at: nowIso(), entry });
+  });
+
+  // Post a quarantined record as-is (payload gets a quarantine { id, releasedAt } block)
+  app.post('/admin/api/quarantine/:id/release', async (req, res) => {
+    try {
+      if (typeof releaseQuarantined !== 'function') {
+        return res.status(501).json({ ok: false, error: 'quarantine not available' });
+      }
+      const result = await releaseQuarantined(req.params.id);
+      if (!result) return res.status(404).json({ ok: false, error: 'quarantined record not found' });
+      res.json({ ok: true, at: nowIso(), id: result.id, released: true, postStatus: result.postStatus, bypassedRoute: result.bypassedRoute });
+    } catch (e) {
+      logger.errorMeta('Admin quarantine release failed', { id: req.params.id, message: e?.message });
+      res.status(500).json({ ok: false, error: e?.message || 'quarantine release failed' });
+    }
+  });
+
+  app.delete('/admin/api/quarantine/:id', (req, res) => {
+    if (typeof discardQuarantined !== 'function') {
+      return res.status(501).json({ ok: false, error: 'quarantine not available' });
+    }
+    const result = discardQuarantined(req.params.id);
+    if (!result) return res.status(404).json({ ok: false, error: 'quarantined record not found' });
+    res.json({ ok: true, at: nowIso(), id: result.id, discarded: true });
+  });
+
+  // Output sinks with their health and counters (counters also in status under state.sinks),
+  // and the routing rules with how many records each one matched
+  app.get('/admin/api/sinks', (req, res) => {
+    if (typeof listSinks !== 'function') {
+      return res.status(501).json({ ok: false, error: 'sinks not available' });
+    }
+    const counters = state.snapshot().sinks || {};
+    const sinks = listSinks().map((sink) => ({ ...sink, counters: counters[sink.name] || null }));
+    const routes = typeof listRoutes === 'function' ? listRoutes() : [];
+    res.json({ ok: true, at: nowIso(), count: sinks.length, sinks, routes });
+  });
+
+  // Payload transforms: presets, and what a transform makes of a sample record
+  app.get('/admin/api/transform/presets', (req, res) => {
+    res.json({ ok: true, at: nowIso(), presets: PRESETS, computed: Object.keys(COMPUTED) });
+  });
+
+  app.post('/admin/api/transform/preview', (req, res) => {
+    const body = req.body || {};
+    let spec = body.transform ?? null;
+    if (spec == null && body.sink) {
+      const sink = (typeof listSinks === 'function' ? listSinks() : []).find((item) => item.name === body.sink);
+      if (!sink) return res.status(404).json({ ok: false, error: `unknown sink "${body.sink}"` });
+      spec = sink.transform ?? null;
+    }
+
+    let input = body.payload && typeof body.payload === 'object' ? body.payload : null;
+    let sampleSource = 'request';
+    if (!input) {
+      const torName = (body.torName || 'passing').toString();
+      input = liveFeed?.latest((message) => message.payload?.torName === torName)?.payload || null;
+      sampleSource = 'recent';
+      if (!input && torName === 'passing') {
+        input = samplePassingPayload();
+        sampleSource = 'builtin';
+      }
+      if (!input) return res.status(404).json({ ok: false, error: `no ${torName} record received yet` });
+    }
+
+    try {
+      const output = spec == null ? input : compileTransform(spec)(input);
+      res.json({
+        ok: true,
+        at: nowIso(),
+        transform: spec,
+        resolved: spec == null ? null : resolveSpec(spec),
+        sampleSource,
+        filtered: output == null,
+        bytes: {
+          input: Buffer.byteLength(JSON.stringify(input)),
+          output: output == null ? 0 : Buffer.byteLength(JSON.stringify(output))
+        },
+        input,
+        output
+      });
+    } catch (e) {
+      res.status(400).json({ ok: false, error: e?.message || 'invalid transform' });
+    }
+  });
+
+  // Records as Server-Sent Events and long-poll, resumable from the live feed's buffer
+  const eventStream = liveFeed ? mountEventStream(app, { feed: liveFeed, logger }) : null;
+
+  // Last N records that failed to parse or parsed with issues, with hex and byte offsets
+  app.get('/admin/api/malformed', (req, res) => {
+    const records = state.malformedRecords(safeInt(req.query.limit, undefined));
+    res.json({ ok: true, at: nowIso(), bySource: state.snapshot().parseErrorsBySource, count: records.length, records });
+  });
+
+  app.post('/admin/api/malformed/clear', (req, res) => {
+    state.clearMalformedRecords();
+    res.json({ ok: true, at: nowIso(), cleared: true });
+  });
+
   // Clear (truncate) the newest log file for the selected log name
   app.post('/admin/api/log/clear', async (req, res) => {
     try {
@@ -566,6 +765,17 @@ app.get('/admin', (req, res) => {
       <small>Most recent events from any connected MYLAPS box.</small>
     </div>
   </div>
+  <div class="row" style="margin-top:10px">
+    <div class="card" style="width:100%;min-width:320px">
+      <div style="display:flex;align-items:center;gap:10px;flex-wrap:wrap">
+        <h3 style="margin:0">CRC Quarantine</h3>
+        <small id="quarantineCount">0 records</small>
+      </div>
+      <div id="quarantineList" class="codebox" style="max-height:240px;overflow:auto;white-space:normal"></div>
+      <pre id="quarantineDetail" class="codebox" style="display:none;margin-top:8px;max-height:320px"></pre>
+      <small>Records with a bad CRC held back from posting (<code>decoder.crcPolicy = "quarantine"</code>). Release posts the record unchanged; Discard drops it.</small>
+    </div>
+  </div>
 
   <script>
 async function api(path, opts){
@@ -638,7 +848,11 @@ function targetRows(s){
     ? targets.map((target) => {
         const status = target.status || (s.tcpConnected ? 'connected' : 'disconnected');
         const key = targetKey(target);
-        return colorSwatch(colors[key] || '#6b7280') + key + ' <span class="muted">(' + escapeHtml(status) + ')</span>';
+        const profile = (s.decoderProfiles || {})[fmt(target.ip) + ':' + fmt(target.port)];
+        const profileInfo = profile
+          ? ', ' + escapeHtml(profile.description || ('type ' + fmt(profile.decoderType))) + ' → ' + escapeHtml(profile.profile) + (profile.profileSource === 'config' ? ' (pinned)' : '')
+          : '';
+        return colorSwatch(colors[key] || '#6b7280') + key + ' <span class="muted">(' + escapeHtml(status) + profileInfo + ')</span>';
       }).join('<br/>')
     : '—';
   return '<b>' + label + ':</b><br/>' + body;
@@ -676,7 +890,11 @@ function eventFeedHtml(events, s){
     const postParts = [];
     if (event && event.postStatus === 'posted') postParts.push('posted');
     else if (event && event.postStatus === 'queued') postParts.push('queued');
+    else if (event && event.postStatus === 'failed') postParts.push('failed');
     else if (event && event.postStatus === 'retrying') postParts.push('retrying');
+    else if (event && event.postStatus === 'quarantined') postParts.push('quarantined');
+    else if (event && event.postStatus === 'released') postParts.push('released');
+    else if (event && event.postStatus === 'discarded') postParts.push('discarded');
     if (event && event.postRetries) postParts.push('retries ' + escapeHtml(event.postRetries));
     const postInfo = postParts.length
       ? ' <span class="muted">[' + postParts.join(' | ') + ']</span>'
@@ -691,6 +909,86 @@ function eventFeedHtml(events, s){
   }).join('');
 }
 
+function quarantineHtml(entries){
+  if(!Array.isArray(entries) || !entries.length) return '<span class="muted">No quarantined records.</span>';
+  return entries.map((entry) => {
+    const at = entry.quarantinedAt ? new Date(entry.quarantinedAt) : null;
+    const ts = at && !Number.isNaN(at.getTime()) ? at.toLocaleString('en-US', { hour12:false }) : '—';
+    const what = [
+      entry.torName || 'record',
+      entry.transponder != null ? 'transponder ' + entry.transponder : null,
+      entry.passingNumber != null ? 'pass #' + entry.passingNumber : null,
+      entry.crc ? 'crc in=' + entry.crc.in + ' calc=' + entry.crc.calc : null
+    ].filter(Boolean).map((part) => escapeHtml(part)).join(' | ');
+    const id = escapeHtml(entry.id);
+    return '<div style="display:flex;gap:8px;align-items:center;flex-wrap:wrap;margin:2px 0">' +
+      '<span class="muted">' + escapeHtml(ts) + '</span> ' + escapeHtml(fmt(entry.source)) + ' | ' + what +
+      ' <button data-q-action="inspect" data-q-id="' + id + '">Inspect</button>' +
+      '<button data-q-action="release" data-q-id="' + id + '">Release</button>' +
+      '<button data-q-action="discard" data-q-id="' + id + '">Discard</button></div>';
+  }).join('');
+}
+
+let lastQuarantineSize = null;
+async function loadQuarantine(){
+  const el = document.getElementById('quarantineList');
+  if(!el) return;
+  try{
+    const j = await api('/admin/api/quarantine');
+    el.innerHTML = quarantineHtml(j.entries);
+    document.getElementById('quarantineCount').textContent = j.count + ' record' + (j.count === 1 ? '' : 's');
+  }catch(e){
+    el.textContent = 'Error: ' + e.message;
+  }
+}
+
+// Transponder events arrive over the WebSocket feed; while it is down they come from the status poll
+let lastState = {};
+let liveEvents = null;
+let liveEventLimit = 100;
+function renderEvents(events){
+  document.getElementById('eventFeed').innerHTML = eventFeedHtml(events, lastState);
+  const validHits = events.filter((event) => event && event.type === 'passing' && !event.duplicate).length;
+  const duplicateHits = events.filter((event) => event && event.type === 'passing' && event.duplicate).length;
+  document.getElementById('eventCount').textContent =
+    events.length + ' entr' + (events.length === 1 ? 'y' : 'ies') +
+    ' | valid ' + validHits +
+    ' | duplicate ' + duplicateHits +
+    (liveEvents ? ' | live' : '');
+}
+function connectLiveFeed(){
+  if (!('WebSocket' in window)) return;
+  const q = new URLSearchParams({ channels: 'events' });
+  const token = new URLSearchParams(location.search).get('token');
+  if (token) q.set('token', token);
+  const ws = new WebSocket((location.protocol === 'https:' ? 'wss://' : 'ws://') + location.host + '/admin/api/events/ws?' + q.toString());
+  ws.onmessage = (m) => {
+    let msg;
+    try{ msg = JSON.parse(m.data); }catch(_){ return; }
+    if (msg.type === 'hello') {
+      liveEvents = Array.isArray(msg.recentEvents) ? msg.recentEvents : [];
+      liveEventLimit = Number(msg.recentEventLimit) || 100;
+    } else if (!liveEvents) {
+      return;
+    } else if (msg.type === 'event' && msg.event) {
+      liveEvents.unshift(msg.event);
+      if (liveEvents.length > liveEventLimit) liveEvents.length = liveEventLimit;
+    } else if (msg.type === 'eventUpdate' && msg.event) {
+      const i = liveEvents.findIndex((event) => event && event.id === msg.event.id);
+      if (i >= 0) liveEvents[i] = msg.event;
+    } else if (msg.type === 'eventsCleared') {
+      liveEvents = [];
+    } else {
+      return;
+    }
+    renderEvents(liveEvents);
+  };
+  ws.onclose = () => {
+    liveEvents = null;
+    setTimeout(connectLiveFeed, 3000);
+  };
+}
+
 async function refresh(){
   try{
     const j = await api('/admin/api/status');
@@ -708,7 +1006,10 @@ async function refresh(){
     lines.push('<b>Build:</b> ' + fmt(j.version));
     lines.push('<b>Mode:</b> ' + fmt(s.mode));
     lines.push(targetRows(s));
-    lines.push('<b>Messages:</b> total=' + fmt(s.msgTotal) + ', ok=' + fmt(s.msgOk) + ', parseErr=' + fmt(s.msgParseErr) + ', suppressed=' + fmt(s.msgSuppressed));
+    lines.push('<b>Messages:</b> total=' + fmt(s.msgTotal) + ', ok=' + fmt(s.msgOk) + ', parseErr=' + fmt(s.msgParseErr) + ', malformed=' + fmt(s.msgMalformed) + ', suppressed=' + fmt(s.msgSuppressed));
+    if (s.streamDiscardedBytes) {
+      lines.push('<b>Stream:</b> discardedBytes=' + fmt(s.streamDiscardedBytes) + ', truncated=' + fmt(s.streamTruncatedRecords) + ', overflows=' + fmt(s.streamOverflows));
+    }
     lines.push(
       '<b>Posts:</b> ok=' + fmt(s.postOk) +
       ', fail=' + fmt(s.postFail) +
@@ -721,17 +1022,34 @@ async function refresh(){
       ', 5xx=' + fmt(s.postRetry5xx) +
       ', network=' + fmt(s.postRetryNetwork) + ')'
     );
+    const sinkRows = Object.entries(s.sinks || {});
+    if (sinkRows.length > 1 || (sinkRows.length === 1 && sinkRows[0][0] !== 'webhook')) {
+      lines.push('<b>Sinks:</b><br/>' + sinkRows.map(([name, k]) =>
+        escapeHtml(name) + ' (' + escapeHtml(k.type) + ') sent=' + fmt(k.sent) + ', queued=' + fmt(k.queued) + ', failed=' + fmt(k.failed) +
+        ', filtered=' + fmt(k.filtered) + ', queueSize=' + fmt(k.queueSize) +
+        (k.lastError ? ' <span class="muted">' + escapeHtml(k.lastError) + '</span>' : '')
+      ).join('<br/>'));
+    }
+    const clocks = Object.entries(s.decoderClocks || {});
+    if (clocks.length) {
+      lines.push('<b>Decoder clocks:</b><br/>' + clocks.map(([source, c]) =>
+        escapeHtml(source) + ' offset=' + (c.offsetMs > 0 ? '+' : '') + escapeHtml(fmt(c.offsetMs)) + 'ms, rtt=' + escapeHtml(fmt(c.rttMs)) + 'ms' +
+        (c.drift ? ' <span style="color:#b91c1c;font-weight:600">drift</span>' : '')
+      ).join('<br/>'));
+    }
     if (typeof s.timerOk !== 'undefined') {
       lines.push('<b>Timer:</b> ok=' + fmt(s.timerOk) + ', fail=' + fmt(s.timerFail) + ', last=' + (s.lastTimerAt || '')); 
     }
+    if (s.msgCrcBad || s.quarantineSize) {
+      lines.push('<b>CRC:</b> bad=' + fmt(s.msgCrcBad) + ', quarantined=' + fmt(s.msgQuarantined) + ', held=' + fmt(s.quarantineSize));
+    }
     document.getElementById('status').innerHTML = lines.join('<br/>');
-    document.getElementById('eventFeed').innerHTML = eventFeedHtml(events, s);
-    const validHits = events.filter((event) => event && event.type === 'passing' && !event.duplicate).length;
-    const duplicateHits = events.filter((event) => event && event.type === 'passing' && event.duplicate).length;
-    document.getElementById('eventCount').textContent =
-      events.length + ' entr' + (events.length === 1 ? 'y' : 'ies') +
-      ' | valid ' + validHits +
-      ' | duplicate ' + duplicateHits;
+    if (s.quarantineSize !== lastQuarantineSize) {
+      lastQuarantineSize = s.quarantineSize;
+      void loadQuarantine();
+    }
+    lastState = s;
+    renderEvents(liveEvents || events);
     const runtimeLines = [];
     runtimeLines.push('<b>Platform:</b> ' + escapeHtml(fmt(runtime.platform)));
     runtimeLines.push('<b>Manager:</b> ' + escapeHtml(fmt(runtime.serviceManager)));
@@ -785,6 +1103,37 @@ if(__el_clearEventsBtn) __el_clearEventsBtn.onclick = async () => {
   }
 };
 
+const __el_quarantineList = document.getElementById('quarantineList');
+if(__el_quarantineList) __el_quarantineList.onclick = async (ev) => {
+  const btn = ev.target.closest('button[data-q-action]');
+  if(!btn) return;
+  const id = btn.dataset.qId;
+  const action = btn.dataset.qAction;
+  const detail = document.getElementById('quarantineDetail');
+  try{
+    if(action === 'inspect'){
+      const j = await api('/admin/api/quarantine/' + encodeURIComponent(id));
+      detail.style.display = 'block';
+      detail.textContent = JSON.stringify(j.entry, null, 2);
+      return;
+    }
+    if(action === 'release'){
+      if(!confirm('Post this record even though its CRC did not match?')) return;
+      const j = await api('/admin/api/quarantine/' + encodeURIComponent(id) + '/release', {method:'POST'});
+      detail.style.display = 'block';
+      detail.textContent = 'Released ' + j.id + ' (' + j.postStatus + ')';
+    }
+    if(action === 'discard'){
+      if(!confirm('Discard this quarantined record?')) return;
+      await api('/admin/api/quarantine/' + encodeURIComponent(id), {method:'DELETE'});
+      detail.style.display = 'none';
+    }
+    await loadQuarantine();
+  }catch(e){
+    alert(e.message);
+  }
+};
+
 const __el_clearStatsBtn = document.getElementById('clearStatsBtn');
 if(__el_clearStatsBtn) __el_clearStatsBtn.onclick = async () => {
   const out = document.getElementById('actionResult');
@@ -925,6 +1274,7 @@ updateHideToggle();
   if (document.getElementById('status')) {
   refresh();
   setInterval(refresh, 2000);
+  connectLiveFeed();
 }
 </script>
 </body>
@@ -996,6 +1346,25 @@ updateHideToggle();
         <small>Only a safe subset of fields can be changed (post.*, timer.*, logging.*, admin.*, defaults.*, decoder.reconnect.*).</small>
         <div id="applyResult"></div>
       </div>
+      <div class="card" style="flex:1;min-width:320px">
+        <h3>Payload preview</h3>
+        <div class="small">Transform of a sink, or a preset to start from</div>
+        <div style="display:flex;flex-wrap:wrap;gap:8px;margin:6px 0 8px 0">
+          <select id="previewSink"></select>
+          <select id="previewPreset"></select>
+          <select id="previewTor">
+            <option value="passing">passing</option>
+            <option value="status">status</option>
+            <option value="version">version</option>
+          </select>
+        </div>
+        <textarea id="previewSpec" rows="10" spellcheck="false" placeholder='"compact" or { "preset": "compact", "constants": { "site": "north" } }'></textarea>
+        <div style="display:flex;gap:10px;margin-top:8px">
+          <button id="previewBtn">Preview</button>
+        </div>
+        <small id="previewInfo">Uses the newest received record of the chosen type, or a made-up passing. Edit <code>transform</code> of a sink in config.json to apply it.</small>
+        <pre id="previewOut" class="codebox" style="max-height:420px"></pre>
+      </div>
     </div>
   </main>
 
@@ -1027,6 +1396,57 @@ if(__el_applyBtn) __el_applyBtn.onclick = () => apply(false);
 const __el_applyPersistBtn = document.getElementById('applyPersistBtn');
 if(__el_applyPersistBtn) __el_applyPersistBtn.onclick = () => apply(true);
 
+async function preview(){
+  const raw = document.getElementById('previewSpec').value.trim();
+  let transform = null;
+  if (raw) {
+    try{ transform = JSON.parse(raw); }
+    catch(e){ document.getElementById('previewOut').textContent = 'Transform JSON is invalid: ' + e.message; return; }
+  }
+  try{
+    const j = await api('/admin/api/transform/preview', {
+      method:'POST',
+      headers:{'Content-Type':'application/json'},
+      body:JSON.stringify({ transform, torName: document.getElementById('previewTor').value })
+    });
+    document.getElementById('previewInfo').textContent =
+      'Sample: ' + j.sampleSource + ' ' + (j.input && j.input.torName) + ' record, ' +
+      j.bytes.input + ' bytes -> ' + (j.filtered ? 'not sent (torNames)' : j.bytes.output + ' bytes');
+    document.getElementById('previewOut').textContent = j.filtered ? '(filtered out)' : JSON.stringify(j.output, null, 2);
+  }catch(e){
+    document.getElementById('previewOut').textContent = 'Error: ' + e.message;
+  }
+}
+
+async function loadPreviewOptions(){
+  const sinkSel = document.getElementById('previewSink');
+  const presetSel = document.getElementById('previewPreset');
+  if(!sinkSel || !presetSel) return;
+  try{
+    const presets = await api('/admin/api/transform/presets');
+    const sinks = await api('/admin/api/sinks').catch(() => ({ sinks: [] }));
+    sinkSel.replaceChildren(new Option('Sink…', ''), ...sinks.sinks.map((sink) =>
+      new Option(sink.name + (sink.transform == null ? ' (no transform)' : ''), sink.name)));
+    presetSel.replaceChildren(new Option('Preset…', ''), ...Object.keys(presets.presets).map((name) => new Option(name, name)));
+    sinkSel.onchange = () => {
+      const sink = sinks.sinks.find((item) => item.name === sinkSel.value);
+      if(!sink) return;
+      document.getElementById('previewSpec').value = sink.transform == null ? '' : JSON.stringify(sink.transform, null, 2);
+      preview();
+    };
+    presetSel.onchange = () => {
+      if(!presetSel.value) return;
+      document.getElementById('previewSpec').value = JSON.stringify(presets.presets[presetSel.value], null, 2);
+      preview();
+    };
+  }catch(e){
+    document.getElementById('previewInfo').textContent = 'Error: ' + e.message;
+  }
+}
+const __el_previewBtn = document.getElementById('previewBtn');
+if(__el_previewBtn) __el_previewBtn.onclick = () => preview();
+loadPreviewOptions();
+
 async function loadSection(sec){
   const out = document.getElementById('applyResult');
   out.textContent = '';
@@ -1149,6 +1569,23 @@ loadSection('__full');
       <pre id="logOut" style="max-height:420px"></pre>
     </div>
   </div>
+  <div class="row" style="margin-top:10px">
+    <div class="card" style="flex:1;min-width:320px">
+      <div style="display:flex;justify-content:space-between;align-items:center;gap:10px;flex-wrap:wrap">
+        <div style="display:flex;align-items:center;gap:10px;flex-wrap:wrap">
+          <h3 style="margin:0">Malformed records</h3>
+          <small id="malformedHint"></small>
+        </div>
+        <div style="display:flex;gap:10px;flex-wrap:wrap">
+          <button id="malformedRefreshBtn">Refresh</button>
+          <button id="malformedClearBtn">Clear</button>
+        </div>
+      </div>
+      <div id="malformedCounts" class="small" style="margin:8px 0"></div>
+      <pre id="malformedOut" style="max-height:420px"></pre>
+      <small>Parse failures and records parsed with issues. Offsets are byte positions in the escaped (as received) or unescaped record.</small>
+    </div>
+  </div>
 
 
 </main>
@@ -1232,6 +1669,41 @@ function updateHideToggle(){
 if (logNameEl) logNameEl.onchange = () => { updateHideToggle(); tailOnce(); };
 if (hideTimerEl) hideTimerEl.onchange = () => tailOnce();
 updateHideToggle();
+
+async function loadMalformed(){
+  const out = document.getElementById('malformedOut');
+  const counts = document.getElementById('malformedCounts');
+  const hint = document.getElementById('malformedHint');
+  try{
+    const j = await api('/admin/api/malformed');
+    const sources = Object.entries(j.bySource || {});
+    counts.textContent = sources.length
+      ? sources.map(([source, codes]) => source + ': ' + Object.entries(codes).map(([code, n]) => code + '=' + n).join(', ')).join(' | ')
+      : 'No malformed records since the last stats clear.';
+    out.textContent = (j.records || []).map((r) => [
+      r.at + '  ' + (r.source || '—') + '  ' + (r.fatal ? 'dropped' : (r.torName || 'record') + ' (parsed)'),
+      ...(r.problems || []).map((p) => '  ' + p.code + ' @' + p.buffer + '[' + p.offset + ']: ' + (p.message || '')),
+      '  escaped:   ' + (r.escapedHex || ''),
+      '  unescaped: ' + (r.unescapedHex || '')
+    ].join('\\n')).join('\\n\\n');
+    hint.textContent = j.count + ' record' + (j.count === 1 ? '' : 's');
+  }catch(e){
+    out.textContent = 'Error: ' + e.message;
+  }
+}
+const __el_malformedRefreshBtn = document.getElementById('malformedRefreshBtn');
+if(__el_malformedRefreshBtn) __el_malformedRefreshBtn.onclick = () => loadMalformed();
+const __el_malformedClearBtn = document.getElementById('malformedClearBtn');
+if(__el_malformedClearBtn) __el_malformedClearBtn.onclick = async () => {
+  if(!confirm('Clear the malformed record list?')) return;
+  try{
+    await api('/admin/api/malformed/clear', {method:'POST'});
+    await loadMalformed();
+  }catch(e){
+    alert(e.message);
+  }
+};
+loadMalformed();
 </script>
 </body>
 </html>`;
@@ -1243,8 +1715,25 @@ updateHideToggle();
     logger.infoMeta('Admin UI listening', { host, port, tokenRequired: Boolean(token) });
   });
 
+  // Live feed (transponder events and records) pushed over a WebSocket
+  const wsFeed = liveFeed
+    ? attachWebSocketFeed({
+      server,
+      path: '/admin/api/events/ws',
+      feed: liveFeed,
+      authorize: isAuthorized,
+      recentEvents: () => state.snapshot().recentEvents,
+      recentEventLimit: Math.max(1, Number(cfg.defaults?.transponderEventLogEntries) || 100),
+      logger
+    })
+    : null;
+
   return {
-    stop: async () => new Promise((resolve) => server.close(() => resolve()))
+    stop: async () => {
+      wsFeed?.close();
+      eventStream?.close();
+      return new Promise((resolve) => server.close(() => resolve()));
+    }
   };
 }
 
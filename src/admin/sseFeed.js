@@ -0,0 +1,143 @@
+const { parseFeedFilter, matchesFeedFilter } = require('./liveFeed');
+
+// HTTP access to the records channel of the live feed, for clients that cannot use WebSockets.
+//   GET /admin/api/events/stream   Server-Sent Events, one `record` event per payload
+//   GET /admin/api/events/poll     long-poll, answers as soon as there is something newer than ?after
+// Both take the tor, decoder and transponder filters of the WebSocket feed. Records are resumed
+// from the feed's ring buffer: Last-Event-ID (sent by EventSource on reconnect), ?lastEventId=
+// on the stream, and ?after= on the poll.
+
+const HEARTBEAT_MS = 15_000;
+const MAX_POLL_MS = 60_000;
+
+function clampInt(value, min, max, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, Math.floor(n))) : fallback;
+}
+
+function recordFilter(query) {
+  return parseFeedFilter({ tor: query.tor, decoder: query.decoder, transponder: query.transponder, channels: 'records' });
+}
+
+function mountEventStream(app, { feed, logger, maxBufferedBytes = 1024 * 1024 }) {
+  const streams = new Set();
+  const polls = new Set();
+
+  app.get('/admin/api/events/stream', (req, res) => {
+    let filter;
+    try {
+      filter = recordFilter(req.query);
+    } catch (e) {
+      return res.status(400).json({ ok: false, error: e.message });
+    }
+    const lastEventId = (req.headers['last-event-id'] || req.query.lastEventId || '').toString().trim() || null;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+
+    const remote = `${req.socket.remoteAddress}:${req.socket.remotePort}`;
+    const send = (id, message) => {
+      res.write(`id: ${id}\nevent: record\ndata: ${JSON.stringify(message.payload)}\n\n`);
+    };
+
+    // Catch up from the buffer, then go live; both happen in this tick so nothing falls in between
+    if (lastEventId) {
+      const { entries, gap } = feed.since(lastEventId);
+      if (gap) res.write(`event: gap\ndata: ${JSON.stringify({ ...gap, lastEventId })}\n\n`);
+      for (const e of entries) {
+        if (matchesFeedFilter(filter, 'records', e.meta)) send(e.id, e.message);
+      }
+    }
+    const unsubscribe = feed.subscribe((channel, message, meta) => {
+      if (!matchesFeedFilter(filter, channel, meta)) return;
+      if (res.writableLength > maxBufferedBytes) {
+        logger?.warnMeta('Event stream client too slow, closing', { remote, bufferedBytes: res.writableLength });
+        res.end();
+        return;
+      }
+      send(message.id, message);
+    });
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    const stream = { res, close: () => res.end() };
+    streams.add(stream);
+    logger?.infoMeta('Event stream client connected', { remote, lastEventId });
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      streams.delete(stream);
+      logger?.infoMeta('Event stream client disconnected', { remote });
+    });
+  });
+
+  app.get('/admin/api/events/poll', (req, res) => {
+    let filter;
+    try {
+      filter = recordFilter(req.query);
+    } catch (e) {
+      return res.status(400).json({ ok: false, error: e.message });
+    }
+    const limit = clampInt(req.query.limit, 1, 1000, 100);
+    const timeoutMs = clampInt(req.query.timeoutMs, 0, MAX_POLL_MS, 25_000);
+    // Without ?after only records arriving from now on count
+    const after = (req.query.after || '').toString().trim() || feed.headId;
+
+    const collect = () => {
+      const { entries, gap } = feed.since(after);
+      const matched = entries.filter((e) => matchesFeedFilter(filter, 'records', e.meta));
+      const events = matched.slice(0, limit);
+      // lastId moves past filtered-out records too, so the next poll does not look at them again
+      const lastId = matched.length > limit ? events[events.length - 1].id : feed.headId;
+      return { gap, lastId, events, more: matched.length > limit };
+    };
+    const reply = ({ gap, lastId, events, more }) => {
+      res.json({
+        ok: true,
+        at: new Date().toISOString(),
+        lastId,
+        gap,
+        count: events.length,
+        more,
+        events: events.map((e) => ({ id: e.id, payload: e.message.payload }))
+      });
+    };
+
+    const now = collect();
+    if (now.events.length || now.gap || timeoutMs === 0) return reply(now);
+
+    let timer = null;
+    let unsubscribe = null;
+    const poll = { close: () => finish() };
+    const finish = () => {
+      if (!polls.delete(poll)) return;
+      clearTimeout(timer);
+      unsubscribe();
+      if (!res.headersSent && !res.destroyed) reply(collect());
+    };
+    polls.add(poll);
+    unsubscribe = feed.subscribe((channel, message, meta) => {
+      if (matchesFeedFilter(filter, channel, meta)) setImmediate(finish);
+    });
+    timer = setTimeout(finish, timeoutMs);
+    res.on('close', () => {
+      if (!polls.delete(poll)) return;
+      clearTimeout(timer);
+      unsubscribe();
+    });
+  });
+
+  return {
+    clientCount: () => streams.size + polls.size,
+    close: () => {
+      for (const poll of [...polls]) poll.close();
+      for (const stream of [...streams]) stream.close();
+    }
+  };
+}
+
+module.exports = { mountEventStream };
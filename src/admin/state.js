@@ -1,5 +1,6 @@
 function createState(options = {}) {
   const maxRecentEvents = Math.max(1, Number(options.maxRecentEvents) || 100);
+  const maxMalformedRecords = Math.max(1, Number(options.maxMalformedRecords) || 50);
   const startedAt = Date.now();
 
   const s = {
@@ -20,10 +21,23 @@ function createState(options = {}) {
     msgTotal: 0,
     msgOk: 0,
     msgParseErr: 0,
+    msgMalformed: 0,
+    parseErrorsBySource: {},
     msgSuppressed: 0,
     msgCrcBad: 0,
+    msgQuarantined: 0,
+    quarantineSize: 0,
+    streamDiscardedBytes: 0,
+    streamTruncatedRecords: 0,
+    streamOverflows: 0,
     passingValid: 0,
     passingDuplicate: 0,
+    passingGaps: 0,
+    passingsMissing: 0,
+    passingsRecovered: 0,
+    passingResendRequests: 0,
+    passingResendFailures: 0,
+    passingNumbers: {},
 
     msgByTorName: {},
 
@@ -35,6 +49,8 @@ function createState(options = {}) {
     postRetry429: 0,
     postRetry5xx: 0,
     postRetryNetwork: 0,
+    // per output sink: { type, sent, queued, failed, filtered, retries, queueSize, lastSentAt, lastError }
+    sinks: {},
 
     lastMessageAt: null,
     lastPostAt: null,
@@ -42,9 +58,17 @@ function createState(options = {}) {
     timerOk: 0,
     timerFail: 0,
     lastTimerAt: null,
-    timerIntervalSec: null
+    timerIntervalSec: null,
+
+    clockPollOk: 0,
+    clockPollFail: 0,
+    decoderClocks: {},
+    decoderProfiles: {}
   };
 
+  // Kept out of the snapshot: hex dumps are only served by the malformed-records endpoint
+  let malformedRecords = [];
+
   function incMap(map, key) {
     const k = (key || 'unknown').toString();
     map[k] = (map[k] || 0) + 1;
@@ -60,10 +84,21 @@ function createState(options = {}) {
     s.msgTotal = 0;
     s.msgOk = 0;
     s.msgParseErr = 0;
+    s.msgMalformed = 0;
+    s.parseErrorsBySource = {};
     s.msgSuppressed = 0;
     s.msgCrcBad = 0;
+    s.msgQuarantined = 0;
+    s.streamDiscardedBytes = 0;
+    s.streamTruncatedRecords = 0;
+    s.streamOverflows = 0;
     s.passingValid = 0;
     s.passingDuplicate = 0;
+    s.passingGaps = 0;
+    s.passingsMissing = 0;
+    s.passingsRecovered = 0;
+    s.passingResendRequests = 0;
+    s.passingResendFailures = 0;
     s.msgByTorName = {};
 
     s.postOk = 0;
@@ -73,6 +108,9 @@ function createState(options = {}) {
     s.postRetry429 = 0;
     s.postRetry5xx = 0;
     s.postRetryNetwork = 0;
+    for (const sink of Object.values(s.sinks)) {
+      Object.assign(sink, { sent: 0, queued: 0, failed: 0, filtered: 0, retries: 0, lastSentAt: null, lastError: null });
+    }
 
     s.lastMessageAt = null;
     s.lastPostAt = null;
@@ -80,6 +118,9 @@ function createState(options = {}) {
     s.timerOk = 0;
     s.timerFail = 0;
     s.lastTimerAt = null;
+
+    s.clockPollOk = 0;
+    s.clockPollFail = 0;
   }
 
   return {
@@ -142,19 +183,76 @@ function createState(options = {}) {
       if (parsed?.crc && parsed.crc.ok === false) s.msgCrcBad += 1;
       incMap(s.msgByTorName, parsed.torName || 'unknown');
     },
+    onQuarantine() {
+      s.msgQuarantined += 1;
+    },
+    setQuarantineSize(n) {
+      s.quarantineSize = Number(n) || 0;
+    },
+    // parsed is either a failed parse ({ ok: false, code }) or a record with issues
+    onMalformedRecord(source, parsed) {
+      const problems = parsed?.ok
+        ? (parsed.issues || [])
+        : [{ code: parsed?.code || 'UNKNOWN', message: parsed?.error, offset: parsed?.offset, buffer: parsed?.buffer }];
+      if (!problems.length) return;
+      s.msgMalformed += 1;
+      const bySource = { ...(s.parseErrorsBySource[source || 'unknown'] || {}) };
+      for (const p of problems) incMap(bySource, p.code);
+      s.parseErrorsBySource = { ...s.parseErrorsBySource, [source || 'unknown']: bySource };
+
+      malformedRecords.unshift({
+        at: new Date().toISOString(),
+        source: source || null,
+        fatal: !parsed?.ok,
+        tor: parsed?.tor,
+        torName: parsed?.torName,
+        problems,
+        escapedHex: parsed?.ok ? parsed.raw?.escapedHex : parsed?.escapedHex,
+        unescapedHex: parsed?.ok ? parsed.raw?.unescapedHex : parsed?.unescapedHex
+      });
+      if (malformedRecords.length > maxMalformedRecords) malformedRecords.length = maxMalformedRecords;
+    },
+    malformedRecords(limit) {
+      const n = Math.max(1, Number(limit) || maxMalformedRecords);
+      return malformedRecords.slice(0, n);
+    },
+    clearMalformedRecords() {
+      malformedRecords = [];
+    },
+    onStreamDiscard({ reason, bytes } = {}) {
+      s.streamDiscardedBytes += Number(bytes) || 0;
+      if (reason === 'truncated') s.streamTruncatedRecords += 1;
+      else if (reason === 'overflow') s.streamOverflows += 1;
+    },
     onPassing({ duplicate } = {}) {
       if (duplicate) s.passingDuplicate += 1;
       else s.passingValid += 1;
     },
+    onPassingNumber({ status, gap } = {}) {
+      if (status === 'gap') {
+        s.passingGaps += 1;
+        s.passingsMissing += Number(gap?.count) || 0;
+      } else if (status === 'recovered') {
+        s.passingsRecovered += 1;
+      }
+    },
+    onPassingResend({ ok } = {}) {
+      s.passingResendRequests += 1;
+      if (!ok) s.passingResendFailures += 1;
+    },
+    setPassingNumbers(summary) {
+      s.passingNumbers = summary && typeof summary === 'object' ? summary : {};
+    },
     addRecentEvent(event) {
       pushRecentEvent(event);
     },
+    // Returns the updated event, or null when it is no longer in the list
     updateRecentEvent(eventId, patch = {}) {
-      if (!eventId) return false;
+      if (!eventId) return null;
       const event = s.recentEvents.find((item) => item && item.id === eventId);
-      if (!event) return false;
+      if (!event) return null;
       Object.assign(event, patch);
-      return true;
+      return event;
     },
     clearRecentEvents() {
       s.recentEvents = [];
@@ -166,16 +264,40 @@ function createState(options = {}) {
           .slice(0, maxRecentEvents)
         : [];
     },
-    onPostResult({ ok, queued } = {}) {
-      if (ok) {
+    setSinks(list) {
+      s.sinks = {};
+      for (const { name, type } of list || []) {
+        s.sinks[name] = { type, sent: 0, queued: 0, failed: 0, filtered: 0, retries: 0, queueSize: 0, lastSentAt: null, lastError: null };
+      }
+    },
+    // The post* totals add up every sink, so they keep meaning "deliveries" with one webhook
+    onSinkResult(name, { status, error } = {}) {
+      const sink = s.sinks[name];
+      if (status === 'filtered') {
+        if (sink) sink.filtered += 1;
+        return;
+      }
+      const now = new Date().toISOString();
+      if (status === 'sent') {
         s.postOk += 1;
-        s.lastPostAt = new Date().toISOString();
+        s.lastPostAt = now;
       } else {
         s.postFail += 1;
       }
-      if (queued) s.postQueued += 1;
+      if (status === 'queued') s.postQueued += 1;
+      if (!sink) return;
+      if (status === 'sent') {
+        sink.sent += 1;
+        sink.lastSentAt = now;
+      } else if (status === 'queued') {
+        sink.queued += 1;
+      } else {
+        sink.failed += 1;
+      }
+      if (error) sink.lastError = error;
     },
-    onPostRetry({ status, networkError } = {}) {
+    onSinkRetry(name, { status, networkError } = {}) {
+      if (s.sinks[name]) s.sinks[name].retries += 1;
       s.postRetriesTotal += 1;
       if (networkError) {
         s.postRetryNetwork += 1;
@@ -188,8 +310,9 @@ function createState(options = {}) {
         s.postRetry5xx += 1;
       }
     },
-    setPostQueueSize(n) {
-      s.postQueueSize = Number(n) || 0;
+    setSinkQueueSize(name, n) {
+      if (s.sinks[name]) s.sinks[name].queueSize = Number(n) || 0;
+      s.postQueueSize = Object.values(s.sinks).reduce((sum, sink) => sum + (sink.queueSize || 0), 0);
     },
     setTimerIntervalSec(n) {
       s.timerIntervalSec = Number(n) || null;
@@ -202,6 +325,18 @@ function createState(options = {}) {
         s.timerFail += 1;
       }
     },
+    onClockPoll({ ok } = {}) {
+      if (ok) s.clockPollOk += 1;
+      else s.clockPollFail += 1;
+    },
+    setDecoderClock(source, clock) {
+      if (!source) return;
+      s.decoderClocks = { ...s.decoderClocks, [source]: clock };
+    },
+    setDecoderProfile(source, info) {
+      if (!source) return;
+      s.decoderProfiles = { ...s.decoderProfiles, [source]: info };
+    },
     resetStats() {
       resetStatsOnly();
     },
@@ -0,0 +1,106 @@
+const { WebSocketServer } = require('ws');
+const { parseFeedFilter, matchesFeedFilter, eventMeta } = require('./liveFeed');
+
+// WebSocket endpoint of the live feed on the admin HTTP server.
+//   ws://host:port/admin/api/events/ws?channels=events,records&tor=passing&decoder=4660&transponder=1001
+// Filters can be changed later by sending {"type":"subscribe", "channels": [...], "tor": [...], ...}.
+// After connecting and after every subscribe the client gets
+//   { type: 'hello', at, filter, recentEvents, recentEventLimit }   (the panel's current list, filtered)
+// and then one JSON message per feed message that matches. A client that falls too far behind
+// (maxBufferedBytes not yet written to its socket) is closed with code 1013.
+
+const PING_INTERVAL_MS = 30_000;
+
+function reject(socket, status, text) {
+  socket.write(`HTTP/1.1 ${status} ${text}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+  socket.destroy();
+}
+
+function attachWebSocketFeed({ server, path: wsPath, feed, authorize, recentEvents, recentEventLimit, logger, maxBufferedBytes = 1024 * 1024 }) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: 64 * 1024 });
+
+  const hello = (ws, filter) => {
+    const events = filter.channels.includes('events')
+      ? (recentEvents() || []).filter((event) => matchesFeedFilter(filter, 'events', eventMeta(event)))
+      : [];
+    ws.send(JSON.stringify({ type: 'hello', at: new Date().toISOString(), filter, recentEvents: events, recentEventLimit }));
+  };
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== wsPath) return reject(socket, 404, 'Not Found');
+    if (!authorize(req, url.searchParams)) return reject(socket, 401, 'Unauthorized');
+    let filter;
+    try {
+      filter = parseFeedFilter(Object.fromEntries(url.searchParams));
+    } catch (_) {
+      return reject(socket, 400, 'Bad Request');
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req, filter));
+  });
+
+  wss.on('connection', (ws, req, initialFilter) => {
+    const remote = `${req.socket.remoteAddress}:${req.socket.remotePort}`;
+    let filter = initialFilter;
+    ws.isAlive = true;
+    logger?.infoMeta('Live feed client connected', { remote, channels: filter.channels });
+
+    const unsubscribe = feed.subscribe((channel, message, meta) => {
+      if (ws.readyState !== ws.OPEN || !matchesFeedFilter(filter, channel, meta)) return;
+      if (ws.bufferedAmount > maxBufferedBytes) {
+        logger?.warnMeta('Live feed client too slow, closing', { remote, bufferedBytes: ws.bufferedAmount });
+        ws.close(1013, 'client too slow');
+        return;
+      }
+      ws.send(JSON.stringify(message));
+    });
+
+    ws.on('pong', () => { ws.isAlive = true; });
+    ws.on('message', (data) => {
+      let msg;
+      try {
+        msg = JSON.parse(data.toString('utf8'));
+      } catch (_) {
+        return ws.send(JSON.stringify({ type: 'error', error: 'invalid JSON' }));
+      }
+      if (msg?.type !== 'subscribe') return ws.send(JSON.stringify({ type: 'error', error: 'unknown message type' }));
+      try {
+        filter = parseFeedFilter(msg);
+      } catch (err) {
+        return ws.send(JSON.stringify({ type: 'error', error: err.message }));
+      }
+      hello(ws, filter);
+    });
+    ws.on('close', () => {
+      unsubscribe();
+      logger?.infoMeta('Live feed client disconnected', { remote });
+    });
+    ws.on('error', () => {});
+
+    hello(ws, filter);
+  });
+
+  // Drop connections that stopped answering pings (e.g. a laptop that went to sleep)
+  const pingTimer = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, PING_INTERVAL_MS);
+  pingTimer.unref?.();
+
+  return {
+    clientCount: () => wss.clients.size,
+    close: () => {
+      clearInterval(pingTimer);
+      for (const ws of wss.clients) ws.terminate();
+      wss.close();
+    }
+  };
+}
+
+module.exports = { attachWebSocketFeed };
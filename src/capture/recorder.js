@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+
+// Raw capture of every chunk received from a decoder, for reproducing field problems offline.
+// One JSON line per chunk: { "t": epoch ms, "src": "ip:port", "hex": "8e02..." }. src is the source the
+// live pipeline uses for the chunk, so a replay gets the same decoder state, profile and payload source;
+// UDP datagrams also carry the sender address as "peer".
+// Files rotate by size (maxFileBytes) and only the newest maxFiles are kept.
+// Names are <prefix>-<yyyymmdd-hhmmssZ>-<nnn>.jsonl; nnn tells apart files started in the same second.
+
+function stamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}Z$/, 'Z').replace('T', '-');
+}
+
+// Oldest first, by (stamp, sequence). Also orders the older unnumbered names (<stamp>.jsonl,
+// then <stamp>-1.jsonl, ...) correctly, which a plain string sort does not ('-' < '.').
+function captureSortKey(name) {
+  const m = name.match(/(\d{8}-\d{6}Z)(?:-(\d+))?\.jsonl$/);
+  return m ? [m[1], m[2] == null ? 0 : Number(m[2])] : [name, 0];
+}
+
+function compareCaptureNames(a, b) {
+  const [sa, na] = captureSortKey(a);
+  const [sb, nb] = captureSortKey(b);
+  return sa < sb ? -1 : sa > sb ? 1 : na - nb;
+}
+
+class CaptureRecorder {
+  constructor({ dir, prefix = 'p3-capture', maxFileBytes = 50 * 1024 * 1024, maxFiles = 20, onError }) {
+    this.dir = dir;
+    this.prefix = prefix;
+    this.maxFileBytes = Math.max(1024, Number(maxFileBytes) || 50 * 1024 * 1024);
+    this.maxFiles = Math.max(1, Number(maxFiles) || 20);
+    this.onError = onError;
+    this.stream = null;
+    this.file = null;
+    this.fileBytes = 0;
+    this.lastStamp = null;
+    this.lastSeq = 0;
+    this.stats = { chunks: 0, bytes: 0, files: 0 };
+  }
+
+  write(source, chunk, peer) {
+    const entry = peer ? { t: Date.now(), src: source, peer, hex: chunk.toString('hex') } : { t: Date.now(), src: source, hex: chunk.toString('hex') };
+    const line = JSON.stringify(entry) + '\n';
+    if (!this.stream || this.fileBytes + line.length > this.maxFileBytes) this._rotate();
+    this.stream.write(line);
+    this.fileBytes += line.length;
+    this.stats.chunks += 1;
+    this.stats.bytes += chunk.length;
+  }
+
+  close() {
+    if (!this.stream) return Promise.resolve();
+    const stream = this.stream;
+    this.stream = null;
+    return new Promise((resolve) => stream.end(resolve));
+  }
+
+  _rotate() {
+    if (this.stream) this.stream.end();
+    fs.mkdirSync(this.dir, { recursive: true });
+    // The stream opens asynchronously, so a file rotated a moment ago may not exist on disk yet
+    const at = stamp(new Date());
+    let n = at === this.lastStamp ? this.lastSeq + 1 : 0;
+    let file = null;
+    for (; !file || fs.existsSync(file); n++) file = path.join(this.dir, `${this.prefix}-${at}-${String(n).padStart(3, '0')}.jsonl`);
+    this.lastStamp = at;
+    this.lastSeq = n - 1;
+    this.file = file;
+    this.fileBytes = 0;
+    this.stats.files += 1;
+    this.stream = fs.createWriteStream(file, { flags: 'a' });
+    this.stream.on('error', (err) => { try { this.onError?.(err); } catch (_) {} });
+    this._prune();
+  }
+
+  _prune() {
+    try {
+      const files = fs.readdirSync(this.dir)
+        .filter((name) => name.startsWith(`${this.prefix}-`) && name.endsWith('.jsonl') && name !== path.basename(this.file))
+        .sort(compareCaptureNames);
+      // The current file counts towards maxFiles even before its stream has created it
+      for (const name of files.slice(0, Math.max(0, files.length - (this.maxFiles - 1)))) {
+        fs.unlinkSync(path.join(this.dir, name));
+      }
+    } catch (err) {
+      try { this.onError?.(err); } catch (_) {}
+    }
+  }
+}
+
+module.exports = { CaptureRecorder, compareCaptureNames };
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { compareCaptureNames } = require('./recorder');
+
+// Reads capture files written by CaptureRecorder and hands each chunk back in order,
+// keeping the original spacing divided by `speed` (speed 0 = as fast as possible).
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// A capture file, or a directory of them (replayed oldest first)
+function listCaptureFiles(target) {
+  const stat = fs.statSync(target);
+  if (!stat.isDirectory()) return [target];
+  return fs.readdirSync(target)
+    .filter((name) => name.endsWith('.jsonl'))
+    .sort(compareCaptureNames)
+    .map((name) => path.join(target, name));
+}
+
+async function replayCapture({ target, speed = 1, onChunk }) {
+  const files = listCaptureFiles(target);
+  const rate = Math.max(0, Number(speed) || 0);
+  const stats = { files: files.length, chunks: 0, bytes: 0, badLines: 0, sources: {}, captureMs: 0 };
+  let firstT = null;
+  let startedAt = null;
+
+  for (const file of files) {
+    const rl = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    for await (const line of rl) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (_) {
+        stats.badLines += 1;
+        continue;
+      }
+      const t = Number(entry?.t);
+      if (!Number.isFinite(t) || typeof entry.hex !== 'string') {
+        stats.badLines += 1;
+        continue;
+      }
+
+      if (firstT == null) {
+        firstT = t;
+        startedAt = Date.now();
+      }
+      if (rate > 0) {
+        const dueAt = startedAt + (t - firstT) / rate;
+        const waitMs = dueAt - Date.now();
+        if (waitMs > 0) await sleep(waitMs);
+      }
+
+      const chunk = Buffer.from(entry.hex, 'hex');
+      const source = entry.src || 'capture';
+      stats.chunks += 1;
+      stats.bytes += chunk.length;
+      stats.sources[source] = (stats.sources[source] || 0) + 1;
+      stats.captureMs = t - firstT;
+      await onChunk(source, chunk, t);
+    }
+  }
+  return stats;
+}
+
+module.exports = { replayCapture, listCaptureFiles };
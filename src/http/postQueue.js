@@ -4,6 +4,8 @@ const crypto = require('crypto');
 
 // A tiny persistent retry queue.
 // Stores an array of entries in a JSON file so we can remove successfully posted items.
+// postFn(entry) resolves { ok, status }; a failed result with drop: true removes the entry instead of
+// moving it to the back of the queue.
 
 function safeReadJson(filePath) {
   try {
@@ -17,6 +19,11 @@ function safeReadJson(filePath) {
   }
 }
 
+// The record a queue entry carries (batch items are queued as one-element arrays)
+function entryRecord(entry) {
+  return Array.isArray(entry.data) && entry.data.length === 1 ? entry.data[0] : entry.data;
+}
+
 function atomicWrite(filePath, contents) {
   const dir = path.dirname(filePath);
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
@@ -100,8 +107,8 @@ class PostQueue {
       method: entry.method,
       attempts: entry.attempts,
       lastError: entry.lastError,
-      torName: entry.data?.torName,
-      tranCode: entry.data?.decoded?.tranCode
+      torName: entryRecord(entry)?.torName,
+      tranCode: entryRecord(entry)?.decoded?.tranCode
     });
 
     return entry;
@@ -124,12 +131,27 @@ class PostQueue {
             trigger,
             id: entry.id,
             status: res.status,
-            torName: entry.data?.torName,
-            tranCode: entry.data?.decoded?.tranCode
+            torName: entryRecord(entry)?.torName,
+            tranCode: entryRecord(entry)?.decoded?.tranCode
           });
           this.queue.shift();
           this.persist();
           this._notifyChange();
+        } else if (res?.drop) {
+          // The receiver rejected the entry for good; retrying would only repeat that
+          entry.lastError = res.error || `HTTP ${res.status ?? 'unknown'}`;
+          this.queue.shift();
+          this.persist();
+          this._notifyChange();
+          try { this.onEntryResult?.(entry, { ok: false, status: res.status, queued: false, error: entry.lastError }); } catch (_) {}
+          this.errorLogger?.errorMeta('Dropped rejected queued POST', {
+            trigger,
+            id: entry.id,
+            status: res.status,
+            message: entry.lastError,
+            torName: entryRecord(entry)?.torName,
+            tranCode: entryRecord(entry)?.decoded?.tranCode
+          });
         } else {
           entry.lastError = `HTTP ${res?.status ?? 'unknown'}`;
           this.queue.push(this.queue.shift());
@@ -139,8 +161,8 @@ class PostQueue {
             trigger,
             id: entry.id,
             status: res?.status,
-            torName: entry.data?.torName,
-            tranCode: entry.data?.decoded?.tranCode
+            torName: entryRecord(entry)?.torName,
+            tranCode: entryRecord(entry)?.decoded?.tranCode
           });
         }
       } catch (e) {
@@ -152,8 +174,8 @@ class PostQueue {
           trigger,
           id: entry.id,
           message: entry.lastError,
-          torName: entry.data?.torName,
-          tranCode: entry.data?.decoded?.tranCode
+          torName: entryRecord(entry)?.torName,
+          tranCode: entryRecord(entry)?.decoded?.tranCode
         });
       }
     } finally {
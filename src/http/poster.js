@@ -13,9 +13,35 @@ function buildUrl(baseUrl, p) {
   return b + pathPart;
 }
 
-async function postWithRetries({ logger, httpLogger, method, url, data, headers, timeoutMs, retries, retryDelayMs, retryBackoffMultiplier, maxRetryDelayMs, beforeAttempt, onRetry }) {
+// Spaces attempts at least minIntervalMs apart, across all callers sharing the limiter
+function createAttemptRateLimiter(minIntervalMs) {
+  const intervalMs = Math.max(0, Number(minIntervalMs) || 0);
+  if (!intervalMs) {
+    return async () => {};
+  }
+
+  let nextAllowedAt = 0;
+  let chain = Promise.resolve();
+  return async () => {
+    const waitForTurn = chain.then(async () => {
+      const now = Date.now();
+      const waitMs = Math.max(0, nextAllowedAt - now);
+      if (waitMs > 0) await sleep(waitMs);
+      nextAllowedAt = Date.now() + intervalMs;
+    });
+    chain = waitForTurn.catch(() => {});
+    return waitForTurn;
+  };
+}
+
+// sign (optional): body => extra headers, called before every attempt with the exact JSON sent
+async function postWithRetries({ logger, httpLogger, method, url, data, headers, timeoutMs, retries, retryDelayMs, retryBackoffMultiplier, maxRetryDelayMs, beforeAttempt, onRetry, sign }) {
   const agent = new https.Agent({ keepAlive: true });
   const queuePacedRetries = typeof beforeAttempt === 'function';
+  const body = sign && typeof data !== 'string' ? JSON.stringify(data) : data;
+  const baseHeaders = sign && !Object.keys(headers || {}).some((k) => k.toLowerCase() === 'content-type')
+    ? { ...headers, 'Content-Type': 'application/json' }
+    : headers;
 
   let attempt = 0;
   let delay = Math.max(1, Number(retryDelayMs) || 1);
@@ -25,12 +51,13 @@ async function postWithRetries({ logger, httpLogger, method, url, data, headers,
     let retryMeta = null;
     try {
       await beforeAttempt?.({ attempt, method, url });
-      httpLogger?.infoMeta('HTTP request', { method, url, attempt, headers, body: data });
+      const attemptHeaders = sign ? { ...baseHeaders, ...sign(body) } : headers;
+      httpLogger?.infoMeta('HTTP request', { method, url, attempt, headers: attemptHeaders, body: data });
       const resp = await axios.request({
         method,
         url,
-        data,
-        headers,
+        data: body,
+        headers: attemptHeaders,
         timeout: timeoutMs,
         httpsAgent: agent,
         validateStatus: () => true
@@ -88,4 +115,4 @@ async function postWithRetries({ logger, httpLogger, method, url, data, headers,
   }
 }
 
-module.exports = { buildUrl, postWithRetries };
+module.exports = { buildUrl, postWithRetries, createAttemptRateLimiter };
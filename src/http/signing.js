@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+
+// HMAC-SHA256 request signing for the webhook and timer posts (setting "signing").
+//   { "enabled": true, "secret": "...", "secretEnv": "P3_BRIDGE_SIGNING_SECRET", "toleranceSec": 300 }
+// The secret comes from "secret", else from the environment variable named by secretEnv.
+// Every attempt (retries and queue replays too) is signed with a fresh timestamp:
+//   X-P3-Timestamp: <unix seconds>
+//   X-P3-Signature: sha256=<hex HMAC of "<timestamp>.<body>">
+// Receivers check it with verifySignature() on the raw request body.
+
+const TIMESTAMP_HEADER = 'X-P3-Timestamp';
+const SIGNATURE_HEADER = 'X-P3-Signature';
+const DEFAULT_SECRET_ENV = 'P3_BRIDGE_SIGNING_SECRET';
+
+function computeSignature(secret, timestamp, body) {
+  return crypto.createHmac('sha256', String(secret)).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function resolveSecret(signing) {
+  const envName = signing?.secretEnv || DEFAULT_SECRET_ENV;
+  const secret = signing?.secret || process.env[envName];
+  return secret ? String(secret) : null;
+}
+
+// null when signing is off; otherwise body => headers for one attempt.
+// Throws when signing is on but there is no secret, so a bad config fails at startup.
+function createSigner(signing, { now = () => Date.now() } = {}) {
+  if (!signing || signing.enabled === false) return null;
+  const secret = resolveSecret(signing);
+  if (!secret) throw new Error(`signing enabled but no secret (set signing.secret or ${signing.secretEnv || DEFAULT_SECRET_ENV})`);
+  return (body) => {
+    const timestamp = String(Math.floor(now() / 1000));
+    return {
+      [TIMESTAMP_HEADER]: timestamp,
+      [SIGNATURE_HEADER]: `sha256=${computeSignature(secret, timestamp, body)}`
+    };
+  };
+}
+
+function headerValue(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') return headers.get(name) ?? undefined;
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === name.toLowerCase());
+  const value = key == null ? undefined : headers[key];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+// For receivers: checks the signature headers against the raw body (string or Buffer, exactly as
+// received). Returns { ok: true } or { ok: false, error }. Timestamps further than toleranceSec
+// from now are rejected so a captured request cannot be replayed later.
+function verifySignature({ secret, body, headers, timestamp, signature, toleranceSec = 300, now = Date.now() }) {
+  if (!secret) return { ok: false, error: 'no secret' };
+  timestamp = timestamp ?? headerValue(headers, TIMESTAMP_HEADER);
+  signature = signature ?? headerValue(headers, SIGNATURE_HEADER);
+  if (!timestamp || !signature) return { ok: false, error: 'missing signature headers' };
+  const ts = Number(timestamp);
+  if (!Number.isFinite(ts)) return { ok: false, error: 'invalid timestamp' };
+  if (toleranceSec != null && Math.abs(now / 1000 - ts) > toleranceSec) return { ok: false, error: 'timestamp outside tolerance' };
+
+  const m = String(signature).match(/^sha256=([0-9a-f]{64})$/i);
+  if (!m) return { ok: false, error: 'invalid signature format' };
+  const raw = Buffer.isBuffer(body) ? body.toString('utf8') : String(body ?? '');
+  const expected = Buffer.from(computeSignature(secret, timestamp, raw), 'hex');
+  const given = Buffer.from(m[1].toLowerCase(), 'hex');
+  if (!crypto.timingSafeEqual(expected, given)) return { ok: false, error: 'signature mismatch' };
+  return { ok: true };
+}
+
+module.exports = { createSigner, verifySignature, computeSignature, resolveSecret, TIMESTAMP_HEADER, SIGNATURE_HEADER, DEFAULT_SECRET_ENV };
@@ -12,11 +12,28 @@ const { hideBin } = require('yargs/helpers');
 const { loadConfig } = require('./config');
 const { makeLogger } = require('./logger');
 const { StreamP3Decoder } = require('./p3/decoder');
+const { CommandChannel, commandError } = require('./p3/commands');
+const { PassingNumberTracker } = require('./p3/passingTracker');
+const { DuplicateFilter } = require('./p3/duplicateFilter');
+const { QuarantineStore } = require('./p3/quarantine');
+const { PROFILES, getProfile, isVersionRecord, detectProfile, transponderId } = require('./p3/profiles');
+const { buildDecoded, buildPayload } = require('./p3/payload');
+const { loadProtocolDefinitions, getMergedDefinitions, resolveDefinitionsFile } = require('./p3/registry');
 const { buildUrl, postWithRetries } = require('./http/poster');
-const { PostQueue } = require('./http/postQueue');
+const { createSigner } = require('./http/signing');
+const { SinkManager, sinkDefinitions, createSink } = require('./sinks/manager');
+const { compileRoute, routeFor } = require('./sinks/routes');
+const { CaptureRecorder } = require('./capture/recorder');
+const { replayCapture } = require('./capture/replay');
+const { DecoderSimulator } = require('./sim/simulator');
+const { bytesFromText, inspectBytes, formatTable } = require('./p3/inspect');
+const { isMostlyPrintable } = require('./util/bytes');
 
 const { startAdminServer } = require('./admin/server');
 const { createState } = require('./admin/state');
+const { LiveFeed, eventMeta } = require('./admin/liveFeed');
+
+const CRC_POLICIES = ['accept', 'flag', 'quarantine'];
 
 function pickPort(mode, cfg, cliPort) {
   if (cliPort) return cliPort;
@@ -55,6 +72,19 @@ function syncStateTargets(state, mode, tcpTargets, udpTargetIp, udpTargetPort) {
   state.setTcpTargetsTotal(mode === 'tcp' ? tcpTargets.length : 0);
 }
 
+// Decoder clock offset against host time from a Get Time reply (utcTime/rtcTime in µs).
+// The host reference is the midpoint of the request round trip.
+function measureClockOffset(decoded, rttMs, receivedAtMs) {
+  const hostMidMs = receivedAtMs - rttMs / 2;
+  const utcMs = Number(decoded.utcTime) / 1000;
+  const rtcMs = Number(decoded.rtcTime) / 1000;
+  return {
+    offsetMs: Number.isFinite(utcMs) && utcMs > 0 ? Math.round(utcMs - hostMidMs) : null,
+    rtcOffsetMs: Number.isFinite(rtcMs) && rtcMs > 0 ? Math.round(rtcMs - hostMidMs) : null,
+    rttMs
+  };
+}
+
 function formatEventTime(value) {
   if (value == null) return null;
   const num = Number(value);
@@ -75,10 +105,11 @@ function summarizeParsedEvent(parsed, decoded, source, options = {}) {
   const prefix = decoderId ? `Box ${decoderId}` : source;
   const torName = (parsed.torName || 'record').toString();
   const duplicate = Boolean(options.duplicate);
+  const crcError = Boolean(options.crcError);
   const eventId = crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(16).slice(2)}`;
 
   if (torName === 'passing') {
-    const transponder = String(decoded.tranCode || decoded.transponder || 'unknown');
+    const transponder = transponderId(decoded, getProfile(parsed.profile)) || 'unknown';
     const passingNumber = decoded.passingNumber != null ? `pass #${decoded.passingNumber}` : null;
     const strength = decoded.strength != null ? `strength ${decoded.strength}` : null;
     const hits = decoded.hits != null ? `${decoded.hits} hits` : null;
@@ -88,14 +119,18 @@ function summarizeParsedEvent(parsed, decoded, source, options = {}) {
       when ? `at ${when}` : null,
       strength,
       hits,
-      duplicate ? 'duplicate' : null
+      duplicate ? 'duplicate' : null,
+      crcError ? 'CRC error' : null
     ].filter(Boolean);
     return {
       id: eventId,
       at: new Date().toISOString(),
       type: 'passing',
+      tor: parsed.tor,
+      decoderId,
       source,
       duplicate,
+      crcError,
       transponder,
       prefix,
       details,
@@ -110,8 +145,11 @@ function summarizeParsedEvent(parsed, decoded, source, options = {}) {
       id: eventId,
       at: new Date().toISOString(),
       type: 'loopTrigger',
+      tor: parsed.tor,
+      decoderId,
       source,
-      summary: `${prefix}: Loop ${code}${when ? ` at ${when}` : ''}`
+      crcError,
+      summary: `${prefix}: Loop ${code}${when ? ` at ${when}` : ''}${crcError ? ' | CRC error' : ''}`
     };
   }
 
@@ -119,8 +157,11 @@ function summarizeParsedEvent(parsed, decoded, source, options = {}) {
     id: eventId,
     at: new Date().toISOString(),
     type: torName,
+    tor: parsed.tor,
+    decoderId,
     source,
-    summary: `${prefix}: ${torName}`
+    crcError,
+    summary: `${prefix}: ${torName}${crcError ? ' | CRC error' : ''}`
   };
 }
 
@@ -182,28 +223,77 @@ function getLaunchctlJobTarget() {
   return { label, domain, target: `${domain}/${label}` };
 }
 
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+// `decode [input..]`: print the records in some pasted hex or a file and exit
+async function runDecode(argv, cfg, cfgPath) {
+  loadProtocolDefinitions(cfg, cfgPath);
+  const inputs = argv.input || [];
+  const input = inputs.join(' ');
+  let bytes;
+  try {
+    let data = null;
+    if (!inputs.length || input === '-') data = fs.readFileSync(0);
+    else if (inputs.length === 1 && fs.existsSync(input)) data = fs.readFileSync(input);
+    if (data == null) bytes = bytesFromText(input);
+    else bytes = isMostlyPrintable(data.subarray(0, 4096)) ? bytesFromText(data.toString('utf8')) : data;
+  } catch (e) {
+    console.error(`Cannot read input: ${e.message}`);
+    process.exit(2);
+  }
+
+  const result = inspectBytes(bytes, { profile: argv.profile, byType: cfg.decoder?.profiles?.byType });
+  if (argv.format === 'json') {
+    const normalizeUnits = cfg.decoder?.normalizeUnits === true;
+    const out = result.records.map((r) => (r.parsed.ok
+      ? buildPayload(r.parsed, r.decoded, 'decode', { normalizeUnits, includeRaw: true })
+      : r.parsed));
+    console.log(JSON.stringify(out, null, 2));
+  } else {
+    console.log(formatTable(result));
+  }
+  // Non-zero when something did not decode cleanly, for use in scripts
+  const clean = result.records.length > 0 && result.records.every((r) => r.parsed.ok && r.parsed.crc.ok && !r.parsed.issues);
+  process.exitCode = clean ? 0 : 1;
 }
 
-function createAttemptRateLimiter(minIntervalMs) {
-  const intervalMs = Math.max(0, Number(minIntervalMs) || 0);
-  if (!intervalMs) {
-    return async () => {};
+// `simulate`: settings come from the simulate section of the config, CLI flags win
+async function runSimulator(argv, cfg) {
+  const simCfg = cfg.simulate || {};
+  const logger = makeLogger({ name: 'sim', level: argv.debug ? 'debug' : (cfg.logging?.level || 'info'), enableConsole: true, enableFile: false });
+
+  const tcpPort = argv.tcpPort ?? simCfg.tcp?.port ?? 5403;
+  let udp = simCfg.udp || null;
+  if (argv.udpTo) {
+    const [host, port] = String(argv.udpTo).split(':');
+    udp = { host: host || '127.0.0.1', port: Number(port) || 5303 };
+  }
+  const opts = {
+    ...simCfg,
+    tcp: tcpPort ? { host: simCfg.tcp?.host || '0.0.0.0', port: tcpPort } : null,
+    udp,
+    logger
+  };
+  if (argv.transponders != null) opts.transponders = argv.transponders;
+  if (argv.lapMean != null) opts.lapTime = { ...(simCfg.lapTime || {}), meanSec: argv.lapMean };
+  if (argv.crcErrorRate != null) opts.crcErrorRate = argv.crcErrorRate;
+  if (argv.disconnectEvery != null) opts.disconnect = { ...(simCfg.disconnect || {}), everySec: argv.disconnectEvery };
+  if (argv.seed != null) opts.seed = argv.seed;
+  if (!opts.tcp && !opts.udp) {
+    console.error('Nothing to simulate: set --tcp-port and/or --udp-to (or simulate.tcp / simulate.udp in config.json).');
+    process.exit(2);
   }
 
-  let nextAllowedAt = 0;
-  let chain = Promise.resolve();
-  return async () => {
-    const waitForTurn = chain.then(async () => {
-      const now = Date.now();
-      const waitMs = Math.max(0, nextAllowedAt - now);
-      if (waitMs > 0) await sleep(waitMs);
-      nextAllowedAt = Date.now() + intervalMs;
-    });
-    chain = waitForTurn.catch(() => {});
-    return waitForTurn;
+  const sim = new DecoderSimulator(opts);
+  await sim.start();
+  logger.infoMeta('Simulator running', { transponders: sim.transponders.length, lapTime: sim.opts.lapTime, crcErrorRate: sim.opts.crcErrorRate });
+
+  const shutdown = async (reason) => {
+    logger.infoMeta('Simulator stopping', { reason, ...sim.stats });
+    await sim.stop();
+    process.exit(0);
   };
+  process.on('SIGINT', () => void shutdown('SIGINT'));
+  process.on('SIGTERM', () => void shutdown('SIGTERM'));
+  if (argv.duration > 0) setTimeout(() => void shutdown('duration reached'), argv.duration * 1000);
 }
 
 async function main() {
@@ -224,14 +314,41 @@ async function main() {
     .option('no-json-log', { type: 'boolean', default: false, describe: 'Disable JSON payload rotating file log' })
     .option('suppress-status', { type: 'boolean', default: false, describe: 'Suppress Status TOR records from logs/JSON/POST' })
     .option('debug', { type: 'boolean', default: false, describe: 'Verbose logging' })
+    .option('capture', { type: 'boolean', describe: 'Record raw decoder bytes to capture files (capture.enabled)' })
+    .command('replay <file>', 'Feed a raw capture (file or directory) back through the decoder and posting pipeline', (y) => y
+      .positional('file', { type: 'string', describe: 'Capture .jsonl file or capture directory' })
+      .option('speed', { type: 'number', default: 1, describe: 'Playback speed: 1 = real time, 10 = 10x, 0 = as fast as possible' })
+      .option('sink', { choices: ['dry-run', 'post'], default: 'dry-run', describe: 'dry-run writes payloads to a file, post uses the configured sinks' }))
+    .command('simulate', 'Run a fake P3 decoder (TCP server and/or UDP sender) for testing without hardware', (y) => y
+      .option('tcp-port', { type: 'number', describe: 'TCP port to listen on, 0 = no TCP (simulate.tcp.port, default 5403)' })
+      .option('udp-to', { type: 'string', describe: 'Also send records to this UDP host:port (simulate.udp)' })
+      .option('transponders', { type: 'number', describe: 'Number of transponders on track (simulate.transponders)' })
+      .option('lap-mean', { type: 'number', describe: 'Mean lap time in seconds (simulate.lapTime.meanSec)' })
+      .option('crc-error-rate', { type: 'number', describe: 'Share of records sent with a broken CRC, 0..1 (simulate.crcErrorRate)' })
+      .option('disconnect-every', { type: 'number', describe: 'Drop TCP clients every N seconds (simulate.disconnect.everySec)' })
+      .option('seed', { type: 'number', describe: 'Random seed for a reproducible run' })
+      .option('duration', { type: 'number', describe: 'Stop after N seconds' }))
+    .command('decode [input..]', 'Decode P3 bytes offline: hex string, hex dump, capture/log file or binary file (stdin when omitted)', (y) => y
+      .positional('input', { type: 'string', describe: 'Hex bytes or a file path' })
+      .option('format', { choices: ['table', 'json'], default: 'table', describe: 'table lists fields, json prints the webhook payloads' })
+      .option('profile', { choices: Object.keys(PROFILES), describe: 'Decoding profile (default: learned from Version records)' }))
     .help()
     .argv;
 
-  const { cfg, path: cfgPath } = loadConfig(argv.config);
-
-  const mode = argv.mode || (argv.udp ? 'udp' : (argv.tcp ? 'tcp' : (cfg.defaults?.mode || 'tcp')));
-  const cliIp = argv._[0];
-  const cliPort = argv._[1] ? Number(argv._[1]) : undefined;
+  // decode and simulate also work without a config.json
+  const command = argv._[0];
+  const offline = command === 'decode' || command === 'simulate';
+  const { cfg, path: cfgPath } = offline && !argv.config && !fs.existsSync(path.join(process.cwd(), 'config.json'))
+    ? { cfg: {}, path: null }
+    : loadConfig(argv.config);
+  if (command === 'simulate') return runSimulator(argv, cfg);
+  if (command === 'decode') return runDecode(argv, cfg, cfgPath);
+
+  // `replay <file>` runs the normal pipeline with a capture file as the only input
+  const replayFile = argv._[0] === 'replay' ? argv.file : null;
+  const mode = replayFile ? 'replay' : (argv.mode || (argv.udp ? 'udp' : (argv.tcp ? 'tcp' : (cfg.defaults?.mode || 'tcp'))));
+  const cliIp = replayFile ? undefined : argv._[0];
+  const cliPort = !replayFile && argv._[1] ? Number(argv._[1]) : undefined;
   let udpTargetIp = cliIp || cfg.defaults?.udpBindIp || cfg.defaults?.bindIp;
   let udpTargetPort = pickPort(mode, cfg, cliPort);
   let tcpTargets = normalizeTcpTargets(cfg, cliIp, cliPort);
@@ -245,7 +362,8 @@ async function main() {
     process.exit(2);
   }
 
-  const logDir = cfg.logging?.dir || path.join(process.cwd(), 'logs');
+  // Replays keep their JSON log, queue and state files apart from the live bridge
+  const logDir = path.join(cfg.logging?.dir || path.join(process.cwd(), 'logs'), replayFile ? 'replay' : '');
   const recentEventsPath = path.join(logDir, 'transponder-events.json');
   const logDatePattern = cfg.logging?.datePattern || 'YYYY-MM-DD';
   const logMaxFiles = cfg.logging?.maxFiles || '7d';
@@ -300,12 +418,74 @@ async function main() {
   });
 
 
+  // Protocol definition overrides (config `protocol` section / protocol.definitionsFile)
+  let watchedDefinitionsFile = null;
+  const reloadProtocolDefinitions = (reason = 'startup') => {
+    try {
+      if (reason !== 'startup' && reason !== 'file change') {
+        // pick up edits to the protocol section of config.json as well
+        cfg.protocol = loadConfig(cfgPath).cfg.protocol;
+      }
+      const filePath = resolveDefinitionsFile(cfg.protocol, cfgPath);
+      if (filePath !== watchedDefinitionsFile) {
+        if (watchedDefinitionsFile) fs.unwatchFile(watchedDefinitionsFile);
+        watchedDefinitionsFile = filePath;
+        if (filePath) fs.watchFile(filePath, { interval: 2000 }, () => reloadProtocolDefinitions('file change')).unref?.();
+      }
+      const info = loadProtocolDefinitions(cfg, cfgPath);
+      if (info.sources.length) logger.infoMeta('Protocol definitions loaded', { reason, sources: info.sources });
+      return { ok: true, sources: info.sources };
+    } catch (e) {
+      logger.errorMeta('Protocol definitions not loaded (keeping previous)', { reason, message: e?.message });
+      return { ok: false, error: e?.message || 'protocol definitions invalid' };
+    }
+  };
+  reloadProtocolDefinitions();
+
   const recentEventLimit = Math.max(1, Number(cfg.defaults?.transponderEventLogEntries) || 100);
-  const state = createState({ maxRecentEvents: recentEventLimit });
+  const state = createState({
+    maxRecentEvents: recentEventLimit,
+    maxMalformedRecords: cfg.decoder?.malformedRecordLimit ?? 50
+  });
   state.setRecentEvents(loadRecentEvents(recentEventsPath, recentEventLimit));
   const persistRecentEvents = createRecentEventPersister(recentEventsPath, recentEventLimit);
+  const liveFeed = new LiveFeed({ logger, bufferSize: cfg.admin?.eventBufferSize ?? 1000 });
+  const addRecentEvent = (event) => {
+    state.addRecentEvent(event);
+    persistRecentEvents(state.snapshot().recentEvents);
+    liveFeed.publish('events', { type: 'event', event }, eventMeta(event));
+  };
   syncStateTargets(state, mode, tcpTargets, udpTargetIp, udpTargetPort);
 
+  const gapRecoveryCfg = cfg.decoder?.gapRecovery || {};
+  // Opt-in: sends Resend Passings requests to the decoder
+  const gapAutoResend = gapRecoveryCfg.autoResend === true;
+  const passingTracker = gapRecoveryCfg.enabled !== false
+    ? new PassingNumberTracker({ filePath: path.join(logDir, 'passing-numbers.json'), maxGap: gapRecoveryCfg.maxGap ?? 1000 })
+    : null;
+  if (passingTracker) state.setPassingNumbers(passingTracker.summary());
+
+  // Records that fail the CRC check when decoder.crcPolicy is "quarantine"
+  const quarantine = new QuarantineStore({
+    filePath: path.join(logDir, 'quarantine.json'),
+    maxEntries: cfg.decoder?.quarantineMaxEntries ?? 1000,
+    onChange: (size) => state.setQuarantineSize(size),
+    logger
+  });
+  state.setQuarantineSize(quarantine.size());
+
+  // Raw capture of received bytes (capture.enabled or --capture); never while replaying
+  const captureCfg = cfg.capture || {};
+  const capture = !replayFile && (argv.capture ?? captureCfg.enabled === true)
+    ? new CaptureRecorder({
+      dir: captureCfg.dir ? path.resolve(captureCfg.dir) : path.join(logDir, 'capture'),
+      maxFileBytes: (Number(captureCfg.maxFileMB) || 50) * 1024 * 1024,
+      maxFiles: captureCfg.maxFiles ?? 20,
+      onError: (err) => logger.errorMeta('Capture write failed', { message: err?.message })
+    })
+    : null;
+  if (capture) logger.infoMeta('Raw capture enabled', { dir: capture.dir, maxFileMB: capture.maxFileBytes / 1024 / 1024, maxFiles: capture.maxFiles });
+
   let adminHandle = null;
 
   // Refs used for shutdown / admin restart
@@ -343,16 +523,77 @@ async function main() {
   const clearRecentEvents = () => {
     state.clearRecentEvents();
     persistRecentEvents([]);
+    liveFeed.publish('events', { type: 'eventsCleared' });
   };
   const updateRecentEventPost = (eventId, patch = {}) => {
     if (!eventId) return;
-    if (state.updateRecentEvent(eventId, patch)) {
+    const event = state.updateRecentEvent(eventId, patch);
+    if (event) {
       persistRecentEvents(state.snapshot().recentEvents);
+      liveFeed.publish('events', { type: 'eventUpdate', event }, eventMeta(event));
     }
   };
   const resetStats = () => {
     state.resetStats();
-    if (postEnabled) state.setPostQueueSize(postQueue.size());
+    if (passingTracker) {
+      passingTracker.resetCounters();
+      state.setPassingNumbers(passingTracker.summary());
+    }
+  };
+
+  // Target is "ip:port" or an index into the configured TCP targets
+  const findTcpClient = (target) => {
+    const key = String(target ?? '').trim();
+    if (tcpClients.has(key)) return tcpClients.get(key);
+    if (/^\d+$/.test(key) && tcpTargets[Number(key)]) {
+      const t = tcpTargets[Number(key)];
+      return tcpClients.get(`${t.ip}:${t.port}`) || null;
+    }
+    return null;
+  };
+  const sendDecoderCommand = async ({ target, command, params, confirm, timeoutMs }) => {
+    if (mode !== 'tcp') throw commandError('NOT_CONNECTED', 'decoder commands need a TCP connection');
+    const client = findTcpClient(target);
+    if (!client) throw commandError('UNKNOWN_TARGET', `unknown decoder target: ${target}`);
+    if (!client.connected || !client.socket) throw commandError('NOT_CONNECTED', `${client.ip}:${client.port} is not connected`);
+
+    logger.infoMeta('Sending decoder command', { ip: client.ip, port: client.port, command, params: params || undefined });
+    const result = await client.commands.send(command, { params, confirm, timeoutMs });
+    if (result.sent) {
+      logger.infoMeta('Decoder command sent', { ip: client.ip, port: client.port, command, requestId: result.requestId });
+      return { ...result, source: `${client.ip}:${client.port}` };
+    }
+    logger.infoMeta('Decoder command answered', { ip: client.ip, port: client.port, command, requestId: result.requestId, rttMs: result.rttMs });
+    if (command === 'clearPassings' && passingTracker) {
+      passingTracker.forgetSource(`${client.ip}:${client.port}`);
+      state.setPassingNumbers(passingTracker.summary());
+    }
+    return { ...result, source: `${client.ip}:${client.port}`, decoded: buildDecoded(result.response.fields) };
+  };
+
+  // Manual release re-runs the stored payload through the normal posting path (no dedupe).
+  // "to" routes still pick the sinks; a drop rule does not apply to an explicit release.
+  const releaseQuarantined = async (id) => {
+    const entry = quarantine.remove(id);
+    if (!entry) return null;
+    const payload = {
+      ...entry.payload,
+      quarantine: { id: entry.id, quarantinedAt: entry.quarantinedAt, releasedAt: new Date().toISOString() }
+    };
+    logger.infoMeta('Quarantined record released', { id: entry.id, source: entry.source, torName: entry.torName });
+    updateRecentEventPost(entry.eventId, { postStatus: 'released' });
+    const route = routeFor(routes, payload);
+    const bypassedRoute = route?.action === 'drop' ? route.name : null;
+    if (bypassedRoute) logger.infoMeta('Released record bypasses drop route', { id: entry.id, route: bypassedRoute });
+    const postStatus = await publishPayload(payload, entry.eventId, entry.source, bypassedRoute ? null : route);
+    return { id: entry.id, postStatus, bypassedRoute };
+  };
+  const discardQuarantined = (id) => {
+    const entry = quarantine.remove(id);
+    if (!entry) return null;
+    logger.infoMeta('Quarantined record discarded', { id: entry.id, source: entry.source, torName: entry.torName });
+    updateRecentEventPost(entry.eventId, { postStatus: 'discarded' });
+    return { id: entry.id };
   };
 
 
@@ -395,7 +636,11 @@ async function main() {
       }
     }
 
-    try { postQueue.stop(); } catch (_) {}
+    // Held best-of-window passings are sent before the sinks stop
+    try { await duplicateFilter.flush(); } catch (_) {}
+    try { await sinks.stop(); } catch (_) {}
+    try { await quarantine.flush(); } catch (_) {}
+    try { if (capture) await capture.close(); } catch (_) {}
     try { if (adminHandle) await adminHandle.stop(); } catch (_) {}
 
     for (const client of tcpClients.values()) {
@@ -423,7 +668,7 @@ async function main() {
     setTimeout(() => process.exit(exitCode), 150).unref?.();
   };
 
-  adminHandle = startAdminServer({
+  adminHandle = replayFile ? null : startAdminServer({
     logger,
     cfgPath,
     cfgRef: () => cfg,
@@ -433,77 +678,69 @@ async function main() {
     clearRecentEvents,
     resetStats,
     setTimerInterval,
+    sendDecoderCommand,
+    listQuarantine: (limit) => quarantine.list(limit),
+    getQuarantined: (id) => quarantine.get(id),
+    releaseQuarantined,
+    discardQuarantined,
+    listSinks: () => sinks.health(),
+    listRoutes: () => routes.map(({ name, match, action, to, hits }) => ({ name, match, action, to, hits })),
+    liveFeed,
+    reloadProtocolDefinitions,
+    getProtocolDefinitions: getMergedDefinitions,
     logDir,
     logPrefixes: { main: "p3", http: "p3-http", json: "p3-json", "post-errors": "p3-post-errors" }
   });
   process.on('SIGTERM', () => { void gracefulShutdown('SIGTERM', 0, false); });
 
 
-  const postEnabled = (cfg.post?.enabled !== false) && !argv.noPost;
-  if (!postEnabled) logger.info('POST disabled (dry-run mode)');
-  const waitForPostAttempt = createAttemptRateLimiter(cfg.post?.minIntervalMs ?? 500);
-
-  const postQueue = new PostQueue({
-    filePath: path.join(logDir, 'post-errors-queue.json'),
-    errorLogger: postErrorsLogger,
-    intervalMs: 30_000,
-    drainMaxPerTick: cfg.post?.queueDrainMaxPerTick ?? 5,
-    onChange: (size) => state.setPostQueueSize(size),
-    onEntryResult: (entry, result) => {
-      if (!entry?.eventId) return;
-      if (result?.ok) {
-        updateRecentEventPost(entry.eventId, {
-          postStatus: 'posted',
-          postLastStatus: result.status ?? null,
-          postLastError: null
-        });
-      } else {
-        updateRecentEventPost(entry.eventId, {
-          postStatus: 'queued',
-          postLastStatus: result?.status ?? null,
-          postLastError: result?.error ?? null
-        });
-      }
-    },
-    postFn: async (entry) => {
-      return postWithRetries({
-        logger,
-        httpLogger,
-        method: entry.method,
-        url: entry.url,
-        data: entry.data,
-        headers: entry.headers,
-        timeoutMs: cfg.post.timeoutMs || 8000,
-        retries: cfg.post.retries ?? 5,
-        retryDelayMs: cfg.post.retryDelayMs ?? 500,
-        retryBackoffMultiplier: cfg.post.retryBackoffMultiplier ?? 2,
-        maxRetryDelayMs: cfg.post.maxRetryDelayMs ?? 8000,
-        beforeAttempt: waitForPostAttempt,
-        onRetry: (info) => {
-          state.onPostRetry(info);
-          updateRecentEventPost(entry.eventId, {
-            postStatus: 'retrying',
-            postRetries: Math.max(0, Number(info.attempt) || 0),
-            postLastStatus: info.status ?? null
-          });
-        }
+  // Output sinks (config.sinks, or the post section as the single "webhook" sink).
+  // --no-post turns off HTTP sinks; a replay writes to a dry-run file unless --sink post.
+  const dryRunFile = replayFile && argv.sink !== 'post' ? path.join(logDir, `replay-dry-run-${Date.now()}.jsonl`) : null;
+  const sinkDefs = dryRunFile
+    ? [{ name: 'dry-run', type: 'file', enabled: true, filter: null, settings: { path: dryRunFile } }]
+    : sinkDefinitions(cfg).filter((def) => def.enabled && !(argv.noPost && def.type === 'http'));
+  const sinks = new SinkManager({ logger, onResult: (name, result) => state.onSinkResult(name, result) });
+  const sinkHooks = (name) => ({
+    onRetry: (info, eventId) => {
+      state.onSinkRetry(name, info);
+      updateRecentEventPost(eventId, {
+        postStatus: 'retrying',
+        postRetries: Math.max(0, Number(info.attempt) || 0),
+        postLastStatus: info.status ?? null
       });
+    },
+    onQueueSize: (size) => state.setSinkQueueSize(name, size),
+    onQueuedResult: (entry, result) => {
+      if (!entry?.eventId) return;
+      updateRecentEventPost(entry.eventId, result?.ok
+        ? { postStatus: 'posted', postLastStatus: result.status ?? null, postLastError: null }
+        : { postStatus: result?.queued === false ? 'failed' : 'queued', postLastStatus: result?.status ?? null, postLastError: result?.error ?? null });
     }
   });
-
-  if (postEnabled) {
-    state.setPostQueueSize(postQueue.size());
-    if (postQueue.size() > 0) {
-      logger.warnMeta('Loaded queued POST errors', { count: postQueue.size(), file: 'post-errors-queue.json' });
+  for (const def of sinkDefs) {
+    try {
+      // The webhook keeps the queue file name it had before sinks existed
+      const queueFile = def.settings.queueFile
+        ? path.resolve(def.settings.queueFile)
+        : path.join(logDir, def.name === 'webhook' ? 'post-errors-queue.json' : `post-errors-queue-${def.name}.json`);
+      sinks.add(createSink(def, { logger, httpLogger, errorLogger: postErrorsLogger, queueFile, hooks: sinkHooks(def.name) }), def);
+    } catch (err) {
+      logger.errorMeta('Sink not configured', { sink: def.name, type: def.type, message: err?.message });
     }
-    postQueue.start();
   }
+  state.setSinks(sinks.list());
+  for (const sink of sinks.list()) state.setSinkQueueSize(sink.name, sink.queueSize?.() ?? 0);
+  sinks.start();
+  if (sinks.list().length) logger.infoMeta('Output sinks', { sinks: sinks.list().map((sink) => `${sink.name} (${sink.type})`) });
+  else logger.info('No output sinks enabled (dry-run mode)');
 
 // Timer webhook: periodic heartbeat to race control so it can end races even if UI isn't open.
-  const timerEnabled = (cfg.timer?.enabled !== false) && !argv.noTimer;
+  const timerEnabled = (cfg.timer?.enabled !== false) && !argv.noTimer && !replayFile;
 
   let timerIntervalHandle = null;
   let timerUrl = null;
+  let timerSign = null;
 
   function buildTimerUrlFromCfg() {
     const timerBaseUrl = cfg.timer?.baseUrl;
@@ -531,7 +768,8 @@ async function main() {
       timeoutMs: cfg.timer?.timeoutMs || 5000,
       retries: cfg.timer?.retries ?? 2,
       retryDelayMs: cfg.timer?.retryDelayMs ?? 250,
-      retryBackoffMultiplier: cfg.timer?.retryBackoffMultiplier ?? 2
+      retryBackoffMultiplier: cfg.timer?.retryBackoffMultiplier ?? 2,
+      sign: timerSign
     });
   }
 
@@ -547,10 +785,16 @@ async function main() {
     if (!timerEnabled) return;
     timerUrl = buildTimerUrlFromCfg();
     if (!timerUrl) return;
+    try {
+      timerSign = createSigner(cfg.timer?.signing);
+    } catch (e) {
+      logger.errorMeta('Timer webhook signing misconfigured', { message: e.message });
+      return;
+    }
 
     const sec = Math.max(5, Number(intervalSec || cfg.timer?.intervalSec || 30));
     state.setTimerIntervalSec(sec);
-    logger.infoMeta('Timer webhook enabled', { url: timerUrl, intervalSec: sec });
+    logger.infoMeta('Timer webhook enabled', { url: timerUrl, intervalSec: sec, signed: Boolean(timerSign) });
 
     timerIntervalHandle = setInterval(async () => {
       try {
@@ -579,183 +823,409 @@ async function main() {
   }
 
 
+  // Routing table; --suppress-status / logging.suppressStatus is a drop rule for status records ahead of it
   const suppressStatus = Boolean(argv.suppressStatus || cfg.logging?.suppressStatus);
+  const routeDefs = [
+    ...(suppressStatus ? [{ name: 'suppressStatus', match: { torNames: ['status'] }, action: 'drop' }] : []),
+    ...(Array.isArray(cfg.routes) ? cfg.routes : [])
+  ];
+  const configuredSinkNames = sinkDefinitions(cfg).map((def) => def.name);
+  const routes = [];
+  routeDefs.forEach((def, i) => {
+    try {
+      routes.push(compileRoute(def, i, { sinkNames: configuredSinkNames }));
+    } catch (err) {
+      logger.errorMeta('Route ignored', { index: i, message: err?.message });
+    }
+  });
+  if (routes.length) {
+    logger.infoMeta('Routing rules', { routes: routes.map((r) => (r.action === 'drop' ? `${r.name} -> drop` : `${r.name} -> ${r.to.join(', ')}`)) });
+  }
   const transponderDuplicateWindowSec = Math.max(0, Number(cfg.defaults?.transponderDuplicateWindowSec ?? 10) || 0);
-  const transponderDuplicateWindowMs = transponderDuplicateWindowSec * 1000;
-  const lastAcceptedTransponders = new Map();
-  const isStatusRecord = (p) => {
-    const torIsStatus = (typeof p.tor === 'number') && (p.tor === 0x0002);
-    const name = (p.torName || '').toString().trim().toLowerCase();
-    return torIsStatus || name === 'status';
-  };
+  const duplicateScope = cfg.defaults?.duplicateScope ?? 'global';
+  const duplicateMode = cfg.defaults?.duplicateMode ?? 'first';
+  let duplicateFilter;
+  try {
+    duplicateFilter = new DuplicateFilter({
+      windowMs: transponderDuplicateWindowSec * 1000,
+      scope: duplicateScope,
+      mode: duplicateMode,
+      timingPoints: cfg.defaults?.timingPoints,
+      filePath: path.join(logDir, 'duplicate-windows.json'),
+      logger,
+      onEmit: (held) => acceptRecord(held)
+    });
+  } catch (err) {
+    logger.errorMeta('Duplicate suppression misconfigured, using global first-read', { message: err?.message });
+    duplicateFilter = new DuplicateFilter({ windowMs: transponderDuplicateWindowSec * 1000, filePath: path.join(logDir, 'duplicate-windows.json'), logger });
+  }
+  if (duplicateFilter.enabled) {
+    logger.infoMeta('Duplicate passing suppression', {
+      windowSec: transponderDuplicateWindowSec,
+      scope: duplicateFilter.scope,
+      mode: duplicateFilter.mode,
+      restoredWindows: duplicateFilter.restored.restored,
+      expiredWindows: duplicateFilter.restored.pruned
+    });
+  }
 
   if (suppressStatus) logger.info('Status suppression enabled (TOR 0x0002)');
 
+  // Framer options shared by every StreamP3Decoder
+  const streamDecoderOptions = (source) => ({
+    maxRecordBytes: cfg.decoder?.maxRecordBytes ?? 64 * 1024,
+    onDiscard: ({ reason, bytes }) => {
+      state.onStreamDiscard({ reason, bytes });
+      if (reason === 'overflow') {
+        logger.warnMeta('P3 stream overflow (no EOR), resyncing', { source, discardedBytes: bytes });
+      } else if (argv.debug) {
+        logger.debug(`Discarded ${bytes} P3 stream bytes (${reason}) from ${source}`);
+      }
+    }
+  });
+  const normalizeUnits = cfg.decoder?.normalizeUnits === true;
+
+  // Decoding profile per connection, learned from Version / First contact records.
+  // decoder.profiles.byTarget pins a profile for "ip:port"; byType maps decoderType numbers.
+  const profilesCfg = cfg.decoder?.profiles || {};
+  for (const [key, name] of [...Object.entries(profilesCfg.byTarget || {}), ...Object.entries(profilesCfg.byType || {})]) {
+    if (!PROFILES[name]) logger.warnMeta('Unknown decoder profile in config', { key, profile: name, known: Object.keys(PROFILES) });
+  }
+  const pinnedProfile = (source) => {
+    const name = profilesCfg.byTarget?.[source];
+    return PROFILES[name] ? name : null;
+  };
+  const decoderProfiles = new Map();
+  const initialDecoderProfile = (source) => {
+    const pinned = pinnedProfile(source);
+    if (pinned) state.setDecoderProfile(source, { decoderType: null, description: null, profile: pinned, profileSource: 'config', detectedAt: null });
+    return pinned || 'generic';
+  };
+  const learnDecoderProfile = (source, decoder, parsed) => {
+    const d = buildDecoded(parsed.fields);
+    const pinned = pinnedProfile(source);
+    const info = {
+      decoderType: d.decoderType ?? null,
+      description: d.description ?? null,
+      firmware: d.version ?? null,
+      profile: pinned || detectProfile(d, profilesCfg.byType),
+      profileSource: pinned ? 'config' : 'detected',
+      detectedAt: new Date().toISOString()
+    };
+    const prev = decoderProfiles.get(source);
+    decoderProfiles.set(source, info);
+    decoder.setProfile(info.profile);
+    state.setDecoderProfile(source, info);
+    if (!prev || prev.profile !== info.profile || prev.decoderType !== info.decoderType) {
+      logger.infoMeta('Decoder type detected', { source, ...info });
+    }
+  };
+  const queryDecoderVersion = (client) => {
+    if (!client.connected) return;
+    client.commands.send('version').catch((err) => {
+      logger.warnMeta('Decoder version query failed', { ip: client.ip, port: client.port, code: err?.code, message: err?.message });
+    });
+  };
+
+  // What to do with records whose CRC does not match: accept (post as before), flag (post with
+  // crcError set, skip dedupe) or quarantine (hold in quarantine.json until released).
+  // Read per record so a settings change applies without a restart.
+  const currentCrcPolicy = () => {
+    const policy = String(cfg.decoder?.crcPolicy ?? 'accept').trim().toLowerCase();
+    return CRC_POLICIES.includes(policy) ? policy : 'accept';
+  };
+  if (cfg.decoder?.crcPolicy != null && !CRC_POLICIES.includes(String(cfg.decoder.crcPolicy).trim().toLowerCase())) {
+    logger.warnMeta('Unknown decoder.crcPolicy, using accept', { crcPolicy: cfg.decoder.crcPolicy });
+  } else if (currentCrcPolicy() !== 'accept') {
+    logger.infoMeta('CRC failure policy', { crcPolicy: currentCrcPolicy() });
+  }
+
+  // Decoder clock tracking: poll Get Time (TOR 0x0024) on each TCP connection
+  const clockSyncCfg = cfg.decoder?.clockSync || {};
+  // Opt-in: polls every connected decoder with Get Time requests
+  const clockSyncEnabled = mode === 'tcp' && clockSyncCfg.enabled === true;
+  const clockSyncIntervalSec = Math.max(5, Number(clockSyncCfg.intervalSec) || 60);
+  const clockDriftThresholdMs = Math.max(0, Number(clockSyncCfg.driftThresholdMs ?? 500) || 0);
+  const decoderClocks = new Map();
+  const clockForPayload = (source) => {
+    const c = decoderClocks.get(source);
+    return c ? { offsetMs: c.offsetMs, rttMs: c.rttMs, drift: c.drift, measuredAt: c.measuredAt } : undefined;
+  };
+
+  const pollDecoderClock = async (client) => {
+    if (!client.connected) return;
+    const source = `${client.ip}:${client.port}`;
+    try {
+      const result = await client.commands.send('getTime');
+      const m = measureClockOffset(buildDecoded(result.response.fields), result.rttMs, Date.now());
+      if (m.offsetMs == null) throw new Error('Get Time reply without utcTime');
+
+      const prev = decoderClocks.get(source);
+      const clock = {
+        ...m,
+        drift: Math.abs(m.offsetMs) > clockDriftThresholdMs,
+        driftThresholdMs: clockDriftThresholdMs,
+        measuredAt: new Date().toISOString()
+      };
+      decoderClocks.set(source, clock);
+      state.setDecoderClock(source, clock);
+      state.onClockPoll({ ok: true });
+
+      if (clock.drift && !prev?.drift) logger.warnMeta('Decoder clock drift above threshold', { source, ...clock });
+      else if (!clock.drift && prev?.drift) logger.infoMeta('Decoder clock back within threshold', { source, ...clock });
+    } catch (err) {
+      state.onClockPoll({ ok: false });
+      logger.warnMeta('Decoder clock poll failed', { source, code: err?.code, message: err?.message });
+    }
+  };
+
+  if (clockSyncEnabled) {
+    logger.infoMeta('Decoder clock tracking enabled', { intervalSec: clockSyncIntervalSec, driftThresholdMs: clockDriftThresholdMs });
+    setInterval(() => {
+      for (const client of tcpClients.values()) void pollDecoderClock(client);
+    }, clockSyncIntervalSec * 1000).unref?.();
+  }
+
+  // Ask the decoder to resend a missing passing range over the same TCP connection
+  const requestPassingResend = (source, gap) => {
+    const client = mode === 'tcp' ? tcpClients.get(source) : null;
+    if (!client || !client.connected) return;
+    logger.infoMeta('Requesting resend of missing passings', { source, fromPassing: gap.from, untilPassing: gap.until });
+    client.commands.send('resendPassings', { params: { fromPassing: gap.from, untilPassing: gap.until } })
+      .then(() => state.onPassingResend({ ok: true }))
+      .catch((err) => {
+        // Decoders are not required to acknowledge a resend; a timeout still means it was sent
+        const ok = err?.code === 'TIMEOUT';
+        state.onPassingResend({ ok });
+        if (!ok) logger.warnMeta('Resend passings request failed', { source, code: err?.code, message: err?.message });
+      });
+  };
+
+  const trackPassingNumber = (parsed, decoded, source) => {
+    if (!passingTracker || decoded.passingNumber == null || !parsed.crc?.ok) return;
+    const key = decoded.decoderId != null ? `${source}#${decoded.decoderId}` : source;
+    const result = passingTracker.observe(key, decoded.passingNumber, { time: decoded.rtcTime ?? decoded.utcTime });
+    state.onPassingNumber(result);
+    state.setPassingNumbers(passingTracker.summary());
+
+    if (result.status === 'gap') {
+      logger.warnMeta('Passing number gap detected', { source, decoder: key, ...result.gap });
+      if (gapAutoResend) requestPassingResend(source, result.gap);
+    } else if (result.status === 'reset') {
+      logger.warnMeta('Passing numbers restarted on decoder', { source, decoder: key, passingNumber: decoded.passingNumber });
+    }
+  };
+
+  // Friendly JSON object sent to the webhook and written to the JSON log
+  const payloadFor = (parsed, decoded, source, receivedAt) => buildPayload(parsed, decoded, source, {
+    receivedAt,
+    decoderClock: clockForPayload(source),
+    normalizeUnits,
+    includeRaw: argv.debug
+  });
+
+  // Write the payload to the JSON log and hand it to every sink.
+  // Returns the combined status: 'posted', 'queued', 'failed', 'filtered' or 'disabled' (no sinks).
+  // route: the routing rule that matched the record (null: every sink); a replay dry-run ignores "to"
+  const publishPayload = async (payload, eventId, source, route = routeFor(routes, payload)) => {
+    jsonLogger.info(JSON.stringify(payload));
+    liveFeed.publish('records', { type: 'record', eventId, source, payload }, {
+      tor: payload.tor,
+      torName: payload.torName,
+      decoderId: payload.decoded?.decoderId,
+      transponder: payload.torName === 'passing' ? transponderId(payload.decoded || {}, getProfile(payload.decoderProfile)) : undefined
+    });
+
+    const only = dryRunFile || !route ? null : (route.to || []);
+    const { status, results } = await sinks.publish(payload, { eventId, source, only });
+    if (status === 'disabled' || status === 'filtered') {
+      const tranCode = payload.decoded?.tranCode;
+      logger.infoMeta('Record received', { torName: payload.torName, fieldCount: payload.fields.length, ...(tranCode ? { tranCode } : {}) });
+      return status;
+    }
+
+    const errors = Object.values(results).map((r) => r.error).filter(Boolean);
+    const httpStatus = Object.values(results).find((r) => r.httpStatus != null)?.httpStatus;
+    updateRecentEventPost(eventId, {
+      postStatus: status,
+      ...(httpStatus != null ? { postLastStatus: httpStatus } : {}),
+      ...(errors.length ? { postLastError: errors.join('; ') } : {})
+    });
+    return status;
+  };
+
+  const quarantineRecord = (parsed, decoded, source) => {
+    state.onParseResult(parsed);
+    const recentEvent = { ...summarizeParsedEvent(parsed, decoded, source, { crcError: true }), postStatus: 'quarantined' };
+    addRecentEvent(recentEvent);
+
+    const { entry, dropped } = quarantine.add({
+      source,
+      reason: 'crc',
+      parsed,
+      payload: payloadFor(parsed, decoded, source),
+      eventId: recentEvent.id
+    });
+    state.onQuarantine();
+    logger.warnMeta('P3 CRC mismatch (quarantined)', {
+      id: entry.id,
+      tor: `0x${parsed.tor.toString(16).padStart(4,'0')}`,
+      torName: parsed.torName,
+      crcIn: parsed.crc.in,
+      crcCalc: parsed.crc.calc,
+      source,
+      ...(decoded.tranCode ? { tranCode: decoded.tranCode } : {})
+    });
+    if (dropped) logger.warnMeta('Quarantine full, dropped oldest records', { dropped, maxEntries: quarantine.maxEntries });
+  };
+
   const handleParsedRecord = async (parsed, source) => {
     if (!parsed.ok) {
       state.onParseResult(parsed);
-      logger.warnMeta('P3 parse error', parsed);
+      state.onMalformedRecord(source, parsed);
+      logger.warnMeta('P3 parse error', {
+        source,
+        code: parsed.code,
+        error: parsed.error,
+        offset: parsed.offset,
+        buffer: parsed.buffer,
+        escapedHex: parsed.escapedHex
+      });
       return;
     }
+    if (parsed.issues) {
+      state.onMalformedRecord(source, parsed);
+      logger.warnMeta('P3 record malformed (parsed anyway)', {
+        source,
+        tor: `0x${parsed.tor.toString(16).padStart(4, '0')}`,
+        torName: parsed.torName,
+        issues: parsed.issues.map((i) => `${i.code}@${i.offset}`)
+      });
+    }
 
-    // Optionally suppress status records entirely
-    if (suppressStatus && isStatusRecord(parsed)) {
+    const decoded = buildDecoded(parsed.fields);
+
+    // Routing: a drop rule suppresses the record entirely
+    const route = routeFor(routes, { torName: parsed.torName, source, crcOk: parsed.crc?.ok, decoderProfile: parsed.profile, decoded });
+    if (route?.action === 'drop') {
       state.onParseResult(parsed, { suppressed: true });
       if (argv.debug) {
-        logger.debugMeta('Suppressed status record', {
+        logger.debugMeta('Record dropped by route', {
+          route: route.name,
           tor: `0x${parsed.tor.toString(16).padStart(4, '0')}`,
           source,
-          decoderId: parsed.fields?.find(f => f?.tofName === 'decoderId')?.value
+          decoderId: decoded.decoderId
         });
       }
       return;
     }
 
-    // Build decoded (top-level convenience object)
-    const decoded = {};
-    for (const f of parsed.fields) {
-      if (!f.tofName) continue;
-      if (f.value === undefined) continue;
-      const key = f.tofName;
-      if (decoded[key] === undefined) decoded[key] = f.value;
-      else if (Array.isArray(decoded[key])) decoded[key].push(f.value);
-      else decoded[key] = [decoded[key], f.value];
+    const torName = (parsed.torName || '').toString().trim().toLowerCase();
+    const crcPolicy = currentCrcPolicy();
+    const crcBad = parsed.crc?.ok === false;
+    if (crcBad && crcPolicy === 'quarantine') {
+      quarantineRecord(parsed, decoded, source);
+      return;
     }
+    const crcFlagged = crcBad && crcPolicy === 'flag';
 
-    const torName = (parsed.torName || '').toString().trim().toLowerCase();
-    if (torName === 'passing' && transponderDuplicateWindowMs > 0) {
-      const transponderKey = String(decoded.tranCode || decoded.transponder || '').trim();
+    if (torName === 'passing') trackPassingNumber(parsed, decoded, source);
+    const record = { parsed, decoded, source, route, torName, crcBad, crcFlagged, receivedAt: new Date().toISOString() };
+    // A flagged read must not hide the genuine passing that may follow it
+    if (torName === 'passing' && duplicateFilter.enabled && !crcFlagged) {
+      const transponderKey = (transponderId(decoded, getProfile(parsed.profile)) || '').trim();
       const eventTimeMsRaw = Number(decoded.utcTime || decoded.rtcTime || Date.now());
       const eventTimeMs = Number.isFinite(eventTimeMsRaw)
         ? (eventTimeMsRaw > 1e12 ? Math.round(eventTimeMsRaw / 1000) : eventTimeMsRaw)
         : Date.now();
       if (transponderKey) {
-        const lastAcceptedAt = lastAcceptedTransponders.get(transponderKey);
-        if (lastAcceptedAt != null && (eventTimeMs - lastAcceptedAt) < transponderDuplicateWindowMs) {
+        const { action, replaced } = duplicateFilter.check({
+          transponder: transponderKey,
+          decoderId: decoded.decoderId,
+          source,
+          eventTimeMs,
+          strength: decoded.strength,
+          hits: decoded.hits
+        }, record);
+        // Best-of-window: a stronger read pushed out the one held so far, which becomes the duplicate
+        const duplicate = action === 'duplicate' ? record : replaced;
+        if (duplicate) {
           state.onPassing({ duplicate: true });
-          state.addRecentEvent(summarizeParsedEvent(parsed, decoded, source, { duplicate: true }));
-          persistRecentEvents(state.snapshot().recentEvents);
+          addRecentEvent(summarizeParsedEvent(duplicate.parsed, duplicate.decoded, duplicate.source, { duplicate: true }));
           logger.infoMeta('Duplicate transponder passing suppressed', {
-            source,
+            source: duplicate.source,
             transponder: transponderKey,
-            duplicateWindowSec: transponderDuplicateWindowSec
+            duplicateWindowSec: transponderDuplicateWindowSec,
+            ...(replaced ? { replacedBy: { source, strength: decoded.strength, hits: decoded.hits } } : {})
           });
-          return;
         }
-        lastAcceptedTransponders.set(transponderKey, eventTimeMs);
+        if (action !== 'accept') return;
       }
     }
 
+    await acceptRecord(record);
+  };
+
+  // Counts, logs and publishes a record that passed routing, quarantine and duplicate checks.
+  // Held best-of-window passings come here when their window closes.
+  const acceptRecord = async ({ parsed, decoded, source, route, torName, crcBad, crcFlagged, receivedAt }) => {
     state.onParseResult(parsed);
     if (torName === 'passing') state.onPassing({ duplicate: false });
 
-    if (!parsed.crc?.ok) {
-      logger.warnMeta('P3 CRC mismatch (parsed anyway)', {
+    if (crcBad) {
+      logger.warnMeta(crcFlagged ? 'P3 CRC mismatch (flagged)' : 'P3 CRC mismatch (parsed anyway)', {
         tor: `0x${parsed.tor.toString(16).padStart(4,'0')}`,
         torName: parsed.torName,
         crcIn: parsed.crc.in,
-        crcCalc: parsed.crc.calc
+        crcCalc: parsed.crc.calc,
+        source
       });
     }
 
-    // Commonly useful fields for concise console logging
-    const tranCode = decoded.tranCode;
-
-// Build a friendly JSON object
-    const payload = {
-      receivedAt: new Date().toISOString(),
-      version: parsed.version,
-      tor: parsed.tor,
-      torName: parsed.torName,
-      flags: parsed.flags,
-      crcOk: parsed.crc.ok,
-      source,
-      decoded,
-      fields: parsed.fields.map(f => ({
-        tof: f.tof,
-        tofName: f.tofName,
-        length: f.length,
-        type: f.type,
-        value: f.value,
-        valueType: f.valueType,
-        dataHex: f.dataHex,
-        dataAscii: f.dataAscii
-      })),
-      raw: argv.debug ? parsed.raw : undefined
-    };
-
-    const recentEvent = summarizeParsedEvent(parsed, decoded, source);
-    state.addRecentEvent(recentEvent);
-    persistRecentEvents(state.snapshot().recentEvents);
-
-    jsonLogger.info(JSON.stringify(payload));
-
-    if (!postEnabled) {
-      logger.infoMeta('Record received', { torName: payload.torName, fieldCount: payload.fields.length, ...(tranCode ? { tranCode } : {}) });
-      return;
-    }
+    const payload = payloadFor(parsed, decoded, source, receivedAt);
+    if (crcFlagged) payload.crcError = { in: parsed.crc.in, calc: parsed.crc.calc };
 
-    const url = buildUrl(cfg.post.baseUrl, cfg.post.path);
-    const method = (cfg.post.method || 'POST').toUpperCase();
+    const recentEvent = summarizeParsedEvent(parsed, decoded, source, { crcError: crcFlagged });
+    addRecentEvent(recentEvent);
 
-    const headers = cfg.post.headers || { 'Content-Type': 'application/json' };
+    await publishPayload(payload, recentEvent.id, source, route);
+  };
 
-    try {
-      const res = await postWithRetries({
-        logger,
-        httpLogger,
-        method,
-        url,
-        data: payload,
-        headers,
-        timeoutMs: cfg.post.timeoutMs || 8000,
-        retries: cfg.post.retries ?? 5,
-        retryDelayMs: cfg.post.retryDelayMs ?? 500,
-        retryBackoffMultiplier: cfg.post.retryBackoffMultiplier ?? 2,
-        maxRetryDelayMs: cfg.post.maxRetryDelayMs ?? 8000,
-        beforeAttempt: waitForPostAttempt,
-        onRetry: (info) => {
-          state.onPostRetry(info);
-          updateRecentEventPost(recentEvent.id, {
-            postStatus: 'retrying',
-            postRetries: Math.max(0, Number(info.attempt) || 0),
-            postLastStatus: info.status ?? null
-          });
-        }
-      });
+  if (replayFile) {
+    const decoders = new Map();
+    const pending = new Set();
+    const decoderFor = (source) => {
+      if (decoders.has(source)) return decoders.get(source);
+      const decoder = new StreamP3Decoder((parsed) => {
+        if (isVersionRecord(parsed)) learnDecoderProfile(source, decoder, parsed);
+        const done = handleParsedRecord(parsed, source).finally(() => pending.delete(done));
+        pending.add(done);
+      }, { ...streamDecoderOptions(source), profile: initialDecoderProfile(source) });
+      decoders.set(source, decoder);
+      return decoder;
+    };
 
-      if (!res.ok) {
-        logger.errorMeta('Failed to post record (queued)', { torName: payload.torName, status: res.status, source, ...(tranCode ? { tranCode } : {}) });
-        updateRecentEventPost(recentEvent.id, {
-          postStatus: 'queued',
-          postLastStatus: res.status
-        });
-        postQueue.enqueue({ method, url, headers, data: payload, reason: `HTTP ${res.status}`, eventId: recentEvent.id });
-        state.onPostResult({ ok: false, queued: true });
-        state.setPostQueueSize(postQueue.size());
-      } else {
-        logger.infoMeta('Posted record', { torName: payload.torName, status: res.status, source, ...(tranCode ? { tranCode } : {}) });
-        updateRecentEventPost(recentEvent.id, {
-          postStatus: 'posted',
-          postLastStatus: res.status
+    logger.infoMeta('Replaying capture', { file: replayFile, speed: argv.speed, sink: argv.sink, logDir });
+    replayCapture({ target: replayFile, speed: argv.speed, onChunk: (source, chunk) => decoderFor(source).push(chunk) })
+      .then(async (stats) => {
+        await Promise.allSettled([...pending]);
+        await duplicateFilter.flush();
+        const snap = state.snapshot();
+        logger.infoMeta('Replay finished', {
+          ...stats,
+          records: snap.msgTotal,
+          parseErrors: snap.msgParseErr,
+          posted: snap.postOk,
+          queued: snap.postQueued,
+          dryRunFile
         });
-        state.onPostResult({ ok: true, queued: false });
-      }
-    } catch (e) {
-      // Network / TLS / timeout errors after retries. Do NOT crash the server.
-      const msg = e?.message || 'post exception';
-      logger.errorMeta('Post exception (queued)', { torName: payload.torName, message: msg, source, ...(tranCode ? { tranCode } : {}) });
-      updateRecentEventPost(recentEvent.id, {
-        postStatus: 'queued',
-        postLastError: msg
+        void gracefulShutdown('replay finished', 0, false);
+      })
+      .catch((err) => {
+        logger.errorMeta('Replay failed', { file: replayFile, message: err?.message });
+        void gracefulShutdown('replay failed', 1, false);
       });
-      postQueue.enqueue({ method, url, headers, data: payload, reason: msg, eventId: recentEvent.id });
-      state.onPostResult({ ok: false, queued: true });
-      state.setPostQueueSize(postQueue.size());
-    }
-  };
-
-  if (mode === 'tcp') {
+  } else if (mode === 'tcp') {
     logger.infoMeta('Starting TCP clients', { targets: tcpTargets, config: cfgPath });
 
     const rcfg = {
@@ -821,9 +1291,14 @@ async function main() {
         client.connected = true;
         state.onTcpConnect({ ip: client.ip, port: client.port });
         logger.infoMeta('TCP connected', { ip: client.ip, port: client.port });
+        if (profilesCfg.queryVersion === true) setTimeout(() => queryDecoderVersion(client), 500).unref?.();
+        if (clockSyncEnabled) setTimeout(() => void pollDecoderClock(client), 1000).unref?.();
       });
 
-      client.socket.on('data', (chunk) => client.decoder.push(chunk));
+      client.socket.on('data', (chunk) => {
+        if (capture) capture.write(`${client.ip}:${client.port}`, chunk);
+        client.decoder.push(chunk);
+      });
 
       client.socket.on('error', (err) => {
         // keep running; close will trigger reconnect if needed
@@ -832,6 +1307,7 @@ async function main() {
 
       client.socket.on('close', (hadError) => {
         clearTimeout(t);
+        client.commands.cancelAll('connection closed');
         if (client.connected) {
           client.connected = false;
           state.onTcpDisconnect({ ip: client.ip, port: client.port });
@@ -858,6 +1334,7 @@ async function main() {
         state.onTcpDisconnect({ ip: client.ip, port: client.port });
       }
       client.socket = null;
+      client.commands.cancelAll(reason);
     };
 
     resyncTcpClients = () => {
@@ -881,7 +1358,23 @@ async function main() {
           socket: null,
           reconnectTimer: null,
           connected: false,
-          decoder: new StreamP3Decoder((parsed) => handleParsedRecord(parsed, `${target.ip}:${target.port}`))
+          commands: new CommandChannel({
+            write: (buf, done) => {
+              if (!client.socket || !client.connected) throw new Error('not connected');
+              client.socket.write(buf, done);
+            },
+            timeoutMs: cfg.decoder?.commandTimeoutMs ?? 5000,
+            logger
+          }),
+          decoder: new StreamP3Decoder((parsed) => {
+            if (isVersionRecord(parsed)) learnDecoderProfile(key, client.decoder, parsed);
+            // Replies to admin-issued commands go back to the caller, not downstream
+            if (client.commands.handleRecord(parsed)) {
+              state.onParseResult(parsed);
+              return;
+            }
+            handleParsedRecord(parsed, key);
+          }, { ...streamDecoderOptions(key), profile: initialDecoderProfile(key) })
         };
         tcpClients.set(key, client);
         connectTcpClient(client);
@@ -903,9 +1396,19 @@ async function main() {
 
   } else {
     logger.infoMeta('Starting UDP listener', { ip: udpTargetIp, port: udpTargetPort, config: cfgPath });
-    const decoder = new StreamP3Decoder((parsed) => handleParsedRecord(parsed, `${udpTargetIp}:${udpTargetPort}`));
+    const udpSource = `${udpTargetIp}:${udpTargetPort}`;
+    const decoder = new StreamP3Decoder(
+      (parsed) => {
+        if (isVersionRecord(parsed)) learnDecoderProfile(udpSource, decoder, parsed);
+        handleParsedRecord(parsed, udpSource);
+      },
+      { ...streamDecoderOptions(udpSource), profile: initialDecoderProfile(udpSource) }
+    );
     udpSocket = dgram.createSocket('udp4');
-    udpSocket.on('message', (msg) => decoder.push(msg));
+    udpSocket.on('message', (msg, rinfo) => {
+      if (capture) capture.write(udpSource, msg, `${rinfo.address}:${rinfo.port}`);
+      decoder.push(msg);
+    });
     udpSocket.on('listening', () => logger.infoMeta('UDP listening', udpSocket.address()));
     udpSocket.on('error', (err) => logger.errorMeta('UDP error', { message: err.message }));
     udpSocket.bind(udpTargetPort, udpTargetIp);
@@ -0,0 +1,131 @@
+const { encodeRecord } = require('./encoder');
+const { TOR } = require('./types');
+
+const TOF_REQUEST_ID = 0x85;
+
+// Commands the bridge can send to a decoder. Destructive ones need an explicit confirm.
+// noReply commands are not answered (a reset decoder reboots): send() resolves once they are written.
+const COMMANDS = {
+  ping: { tor: TOR.ping },
+  version: { tor: TOR.version },
+  getTime: { tor: TOR.getTime },
+  resendPassings: {
+    tor: TOR.resendPassings,
+    fields: (params = {}) => {
+      const from = Number(params.fromPassing);
+      const until = Number(params.untilPassing);
+      if (!Number.isInteger(from) || from < 0 || !Number.isInteger(until) || until < from) {
+        throw commandError('BAD_PARAMS', 'resendPassings needs integer fromPassing <= untilPassing');
+      }
+      return [{ tof: 0x01, value: from }, { tof: 0x02, value: until }];
+    }
+  },
+  clearPassings: { tor: TOR.clearPassings, destructive: true },
+  reset: { tor: TOR.reset, destructive: true, noReply: true }
+};
+
+function commandError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function requestIdOf(parsed) {
+  const f = parsed?.fields?.find((field) => field && field.tof === TOF_REQUEST_ID);
+  return f && f.value != null ? String(f.value) : null;
+}
+
+// Sends commands over one decoder connection and matches replies by Request ID (TOF 0x85).
+// write(buf, done) sends the bytes and calls done(err) once they are written.
+class CommandChannel {
+  constructor({ write, timeoutMs = 5000, logger }) {
+    this.write = write;
+    this.timeoutMs = timeoutMs;
+    this.logger = logger;
+    this.pending = new Map();
+    this._nextRequestId = (Date.now() % 0x7FFFFFFF) + 1;
+  }
+
+  send(name, { params, confirm = false, timeoutMs } = {}) {
+    const def = COMMANDS[name];
+    if (!def) return Promise.reject(commandError('UNKNOWN_COMMAND', `unknown command: ${name}`));
+    if (def.destructive && confirm !== true) {
+      return Promise.reject(commandError('CONFIRM_REQUIRED', `${name} is destructive; pass confirm=true`));
+    }
+
+    let record;
+    const requestId = this._nextRequestId++;
+    try {
+      const fields = def.fields ? def.fields(params) : [];
+      record = encodeRecord({ tor: def.tor, fields: [...fields, { tof: TOF_REQUEST_ID, value: requestId }] });
+    } catch (e) {
+      return Promise.reject(e.code ? e : commandError('BAD_PARAMS', e.message));
+    }
+
+    if (def.noReply) {
+      return new Promise((resolve, reject) => {
+        try {
+          this.write(record, (err) => {
+            if (err) return reject(commandError('NOT_CONNECTED', err.message || 'write failed'));
+            this.logger?.debug?.(`Sent decoder command ${name} (requestId ${requestId}, no reply expected)`);
+            resolve({ command: name, requestId, sent: true });
+          });
+        } catch (e) {
+          reject(commandError('NOT_CONNECTED', e?.message || 'write failed'));
+        }
+      });
+    }
+
+    const waitMs = Math.max(1, Number(timeoutMs) || this.timeoutMs);
+    return new Promise((resolve, reject) => {
+      const key = String(requestId);
+      const sentAt = Date.now();
+      const timer = setTimeout(() => {
+        this.pending.delete(key);
+        reject(commandError('TIMEOUT', `no response to ${name} within ${waitMs} ms`));
+      }, waitMs);
+      timer.unref?.();
+      this.pending.set(key, { name, sentAt, timer, resolve, reject });
+
+      try {
+        this.write(record);
+        this.logger?.debug?.(`Sent decoder command ${name} (requestId ${requestId})`);
+      } catch (e) {
+        clearTimeout(timer);
+        this.pending.delete(key);
+        reject(commandError('NOT_CONNECTED', e?.message || 'write failed'));
+      }
+    });
+  }
+
+  // Returns true when the record answered a pending command.
+  handleRecord(parsed) {
+    if (!parsed?.ok || this.pending.size === 0) return false;
+    const key = requestIdOf(parsed);
+    const entry = key ? this.pending.get(key) : null;
+    if (!entry) return false;
+
+    this.pending.delete(key);
+    clearTimeout(entry.timer);
+    const rttMs = Date.now() - entry.sentAt;
+    if (parsed.torName === 'error') {
+      const err = commandError('DECODER_ERROR', `decoder rejected ${entry.name}`);
+      err.response = parsed;
+      err.rttMs = rttMs;
+      entry.reject(err);
+    } else {
+      entry.resolve({ command: entry.name, requestId: Number(key), rttMs, response: parsed });
+    }
+    return true;
+  }
+
+  cancelAll(reason = 'connection closed') {
+    for (const entry of this.pending.values()) {
+      clearTimeout(entry.timer);
+      entry.reject(commandError('NOT_CONNECTED', reason));
+    }
+    this.pending.clear();
+  }
+}
+
+module.exports = { CommandChannel, COMMANDS, TOF_REQUEST_ID, commandError };
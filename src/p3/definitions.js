@@ -0,0 +1,209 @@
+// MYLAPS P3 protocol definitions (v4.x): one table for TOR names, TOF names and field types.
+// names.js and types.js are derived from this, so a record type is added in one place.
+// Numeric fields are little-endian ("least significant bytes first") per spec.
+// Types: bool,u8,u16,u32,u64,i16,i32,string,hex,ipv4
+
+// General fields (appear in all TORs)
+const GENERAL_TOFS = {
+  0x81: ['Decoder ID', 'u32'],
+  0x83: ['Controller ID', 'u32'],
+  0x85: ['Request ID', 'u64']
+};
+
+const TORS = {
+  0x0000: {
+    name: 'Reset',
+    tofs: {
+      0x01: ['Reset type', 'u8']
+    }
+  },
+  0x0001: {
+    name: 'Passing',
+    tofs: {
+      0x01: ['Passing number', 'u32'],
+      0x03: ['Transponder', 'u32'],
+      0x04: ['RTC Time', 'u64'],        // µs since 1970
+      0x05: ['Strength', 'u16'],
+      0x06: ['Hits', 'u16'],
+      0x08: ['Flags', 'u16'],
+      0x0A: ['Tran Code', 'hex'],       // alphanumeric; decoder reads it as ASCII
+      0x0E: ['User Flags', 'u32'],
+      0x0F: ['Driver ID', 'u8'],
+      0x10: ['UTC Time', 'u64'],        // µs since 1970 UTC
+      0x13: ['RTC ID', 'u32'],
+      0x14: ['Sport', 'u8'],
+      0x30: ['Voltage', 'u8'],          // 1/10 V
+      0x31: ['Temperature', 'u8'],      // °C + 100
+      0x40: ['Car Id', 'u8']
+    }
+  },
+  0x0002: {
+    name: 'Status',
+    tofs: {
+      0x01: ['Noise', 'u16'],
+      0x06: ['GPS', 'u8'],
+      0x07: ['Temperature', 'i16'],     // 1/10 °C
+      0x0A: ['SatInUse', 'u8'],
+      0x0B: ['Loop triggers', 'u8'],
+      0x0C: ['Input Voltage', 'u8']     // 1/10 V
+    }
+  },
+  0x0003: {
+    name: 'Version',
+    tofs: {
+      0x01: ['Decoder type', 'u8'],
+      0x02: ['Description', 'string'],
+      0x03: ['Version', 'string'],
+      0x04: ['Release', 'u32'],         // seconds since 1970
+      0x08: ['Registration', 'u64'],
+      0x0A: ['Build number', 'u16'],
+      0x0C: ['Options', 'u32']
+    }
+  },
+  0x0004: {
+    name: 'Resend passings',
+    tofs: {
+      0x01: ['From passing', 'u32'],
+      0x02: ['Until passing', 'u32']
+    }
+  },
+  0x0005: {
+    name: 'Clear passings',
+    tofs: {}
+  },
+  0x0012: {
+    name: 'Timing setting',
+    tofs: {
+      0x01: ['Sensitivity', 'u8'],
+      0x02: ['Hit threshold', 'u16'],
+      0x03: ['Dead time', 'u16'],       // ms
+      0x04: ['Loop mode', 'u8'],
+      0x05: ['Loop frequency', 'u8'],
+      0x06: ['Passing timeout', 'u16']  // ms
+    }
+  },
+  0x0013: {
+    name: 'Server settings',
+    tofs: {
+      0x01: ['Host name', 'string'],
+      0x02: ['IP address', 'ipv4'],
+      0x03: ['Port', 'u16'],
+      0x04: ['Enabled', 'bool']
+    }
+  },
+  0x0015: {
+    name: 'Session',
+    tofs: {
+      0x01: ['Sub command', 'u8'],
+      0x02: ['Session ID', 'u32'],
+      0x03: ['Start time', 'u64'],      // µs since 1970 UTC
+      0x04: ['Name', 'string']
+    }
+  },
+  0x0016: {
+    name: 'Network settings',
+    tofs: {
+      0x01: ['DHCP', 'bool'],
+      0x02: ['IP address', 'ipv4'],
+      0x03: ['Netmask', 'ipv4'],
+      0x04: ['Gateway', 'ipv4'],
+      0x05: ['DNS', 'ipv4'],
+      0x06: ['MAC address', 'hex'],
+      0x07: ['Host name', 'string']
+    }
+  },
+  0x0018: {
+    name: 'Watchdog',
+    tofs: {}
+  },
+  0x001C: {
+    name: 'Unlock functions',
+    tofs: {
+      0x01: ['Unlock code', 'string'],
+      0x02: ['Options', 'u32']
+    }
+  },
+  0x0020: {
+    name: 'Ping',
+    tofs: {}
+  },
+  0x0024: {
+    name: 'Get time',
+    tofs: {
+      0x01: ['RTC Time', 'u64'],        // µs
+      0x04: ['Flags', 'u16'],
+      0x05: ['UTC Time', 'u64']         // µs
+    }
+  },
+  0x0028: {
+    name: 'General settings',
+    tofs: {
+      0x01: ['Status interval', 'u8'],  // seconds
+      0x02: ['Decoder mode', 'u8'],
+      0x03: ['Time zone', 'i16'],       // minutes from UTC
+      0x04: ['Real time clock', 'u64'], // µs since 1970
+      0x05: ['Beep enabled', 'bool'],
+      0x06: ['GPS sync', 'bool']
+    }
+  },
+  0x002D: {
+    name: 'Signals',
+    tofs: {
+      0x01: ['Beep frequency', 'u16'],  // Hz
+      0x02: ['Beep hold min', 'u16'],   // ms
+      0x03: ['Beep hold max', 'u16'],   // ms
+      0x04: ['Aux output', 'u8'],
+      0x05: ['Sync output', 'u8']
+    }
+  },
+  0x002F: {
+    name: 'Loop trigger',
+    tofs: {
+      0x01: ['Code', 'string'],
+      0x02: ['RTC Time', 'u64'],
+      0x04: ['Strength', 'u16'],
+      0x05: ['Temperature', 'i16'],     // 1/10 °C
+      0x06: ['Act strength', 'u8'],
+      0x07: ['Count', 'u32'],
+      0x08: ['UTC Time', 'u64'],
+      0x09: ['Flags', 'u16'],
+      0x0A: ['Index', 'u16']
+    }
+  },
+  0x0030: {
+    name: 'GPS info',
+    tofs: {
+      0x01: ['Latitude', 'i32'],        // 1/10000 degrees
+      0x02: ['Longitude', 'i32'],       // 1/10000 degrees
+      0x03: ['SatInUse', 'u8']
+    }
+  },
+  0x0045: {
+    name: 'First contact',
+    tofs: {
+      0x01: ['Decoder type', 'u8'],
+      0x02: ['Description', 'string'],
+      0x03: ['Version', 'string'],
+      0x04: ['Protocol version', 'u16']
+    }
+  },
+  0x004A: {
+    name: 'Timeline',
+    tofs: {
+      0x01: ['Timeline ID', 'u8'],
+      0x02: ['Name', 'string'],
+      0x03: ['Loop ID', 'u8'],
+      0x04: ['Distance', 'u32'],        // mm from the first timeline
+      0x05: ['Enabled', 'bool']
+    }
+  },
+  0xFFFF: {
+    name: 'Error',
+    tofs: {
+      0x01: ['Code', 'u16'],
+      0x02: ['Description', 'string']
+    }
+  }
+};
+
+module.exports = { TORS, GENERAL_TOFS };
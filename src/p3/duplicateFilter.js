@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+
+// Duplicate passing suppression: a transponder seen again within windowMs of its accepted read is a
+// duplicate. Event times are the decoder's (ms), compared with abs() because resent passings can be
+// older than the last accepted read.
+//
+// scope decides which reads are compared with each other:
+//   global        one window per transponder, over all decoders (the historic behaviour)
+//   decoder       one window per transponder and decoder (decoderId, else the source)
+//   timingPoint   one window per transponder and timing point; timingPoints names groups of
+//                 decoders at the same line, e.g. { "finish": ["4660", "10.0.0.6:5403"] }, so a
+//                 backup decoder does not double the finish. Unlisted decoders are their own point.
+// mode decides which read of a window is kept:
+//   first   the first read is accepted at once, later ones are duplicates
+//   best    the first read is held for windowMs (wall clock); a stronger read (strength, then hits)
+//           within the window replaces it, and the strongest is handed to onEmit when the window closes
+//
+// With filePath the windows are saved to a small JSON file and restored at startup, so passings the
+// decoder resends after a restart are still recognised. A window is dropped from the file, and not
+// restored, once windowMs has passed since its accepted read arrived. In best mode a window is only
+// saved once its read has been emitted: if the process dies while the read is held, the decoder's
+// resend after the restart opens a new window instead of being suppressed. flush() emits held reads
+// at shutdown.
+
+const SCOPES = ['global', 'decoder', 'timingPoint'];
+const MODES = ['first', 'best'];
+
+function safeReadJson(filePath) {
+  try {
+    if (!filePath || !fs.existsSync(filePath)) return null;
+    const txt = fs.readFileSync(filePath, 'utf8');
+    if (!txt.trim()) return null;
+    const parsed = JSON.parse(txt);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+function compareReads(a, b) {
+  const strength = (Number(a.strength) || 0) - (Number(b.strength) || 0);
+  return strength || (Number(a.hits) || 0) - (Number(b.hits) || 0);
+}
+
+class DuplicateFilter {
+  constructor({ windowMs, scope = 'global', mode = 'first', timingPoints = {}, filePath = null, onEmit, logger }) {
+    if (!SCOPES.includes(scope)) throw new Error(`duplicateScope must be one of ${SCOPES.join(', ')}`);
+    if (!MODES.includes(mode)) throw new Error(`duplicateMode must be one of ${MODES.join(', ')}`);
+    this.windowMs = Math.max(0, Number(windowMs) || 0);
+    this.scope = scope;
+    this.mode = mode;
+    this.onEmit = onEmit;
+    this.logger = logger;
+    this.pointOf = new Map();
+    for (const [name, members] of Object.entries(timingPoints || {})) {
+      for (const member of Array.isArray(members) ? members : [members]) this.pointOf.set(String(member), String(name));
+    }
+    // key -> { acceptedAt, seenAt, held: { read, item, timer } | null }; seenAt is wall-clock ms
+    this.windows = new Map();
+    this.filePath = filePath;
+    this._dirty = false;
+    this._writing = null;
+    this.restored = this._load();
+  }
+
+  // Windows from the file that are still open; keys of another scope would not match, so they are skipped
+  _load() {
+    const data = safeReadJson(this.filePath);
+    if (!data || !this.enabled) return { restored: 0, pruned: 0 };
+    if (data.scope !== this.scope) return { restored: 0, pruned: Object.keys(data.windows || {}).length };
+    const now = Date.now();
+    let restored = 0;
+    let pruned = 0;
+    for (const [key, w] of Object.entries(data.windows || {})) {
+      const acceptedAt = Number(w?.acceptedAt);
+      const seenAt = Number(w?.seenAt);
+      if (!Number.isFinite(acceptedAt) || !Number.isFinite(seenAt) || now - seenAt >= this.windowMs) {
+        pruned += 1;
+        continue;
+      }
+      this.windows.set(key, { acceptedAt, seenAt, held: null });
+      restored += 1;
+    }
+    if (pruned) this._persist();
+    return { restored, pruned };
+  }
+
+  get enabled() {
+    return this.windowMs > 0;
+  }
+
+  // Decoder or timing point a read belongs to, under the configured scope
+  scopeOf({ decoderId, source }) {
+    if (this.scope === 'global') return null;
+    const decoder = decoderId != null ? String(decoderId) : String(source || '');
+    if (this.scope === 'decoder') return decoder;
+    return this.pointOf.get(decoder) ?? (source != null ? this.pointOf.get(String(source)) : undefined) ?? decoder;
+  }
+
+  keyOf(read) {
+    const scope = this.scopeOf(read);
+    return scope == null ? read.transponder : `${scope}|${read.transponder}`;
+  }
+
+  // read: { transponder, decoderId, source, eventTimeMs, strength, hits }; item is what onEmit gets
+  // back in best mode. Returns { action: 'accept' | 'hold' | 'duplicate', key, replaced? } where
+  // replaced is the item of a held read that a stronger one pushed out (now a duplicate).
+  check(read, item) {
+    const key = this.keyOf(read);
+    const entry = this.windows.get(key);
+    const inWindow = entry && Math.abs(read.eventTimeMs - entry.acceptedAt) < this.windowMs;
+
+    if (this.mode === 'first') {
+      if (inWindow) return { action: 'duplicate', key };
+      if (!entry || read.eventTimeMs > entry.acceptedAt) {
+        this.windows.set(key, { acceptedAt: read.eventTimeMs, seenAt: Date.now(), held: null });
+        this._persist();
+      }
+      return { action: 'accept', key };
+    }
+
+    if (inWindow) {
+      // A window restored from the file, or one already emitted, has nothing held: later reads are duplicates
+      if (!entry.held || compareReads(read, entry.held.read) <= 0) return { action: 'duplicate', key };
+      const replaced = entry.held.item;
+      entry.held.read = read;
+      entry.held.item = item;
+      return { action: 'hold', key, replaced };
+    }
+    if (entry?.held) this._release(key, entry);
+    const next = { acceptedAt: read.eventTimeMs, seenAt: Date.now(), held: { read, item, timer: null } };
+    next.held.timer = setTimeout(() => { void this._release(key, next); }, this.windowMs);
+    this.windows.set(key, next);
+    return { action: 'hold', key };
+  }
+
+  heldCount() {
+    let n = 0;
+    for (const entry of this.windows.values()) if (entry.held) n += 1;
+    return n;
+  }
+
+  // Emits every held read now (shutdown, end of a replay) and waits for the file to be written
+  async flush() {
+    const pending = [];
+    for (const [key, entry] of this.windows) {
+      if (entry.held) pending.push(this._release(key, entry));
+    }
+    await Promise.allSettled(pending);
+    await this._writing;
+  }
+
+  _persist() {
+    if (!this.filePath) return;
+    this._dirty = true;
+    if (!this._writing) this._writing = this._write().finally(() => { this._writing = null; });
+  }
+
+  async _write() {
+    while (this._dirty) {
+      this._dirty = false;
+      const now = Date.now();
+      const windows = {};
+      for (const [key, w] of this.windows) {
+        if (!w.held && now - w.seenAt < this.windowMs) windows[key] = { acceptedAt: w.acceptedAt, seenAt: w.seenAt };
+      }
+      const data = { savedAt: new Date(now).toISOString(), scope: this.scope, windowMs: this.windowMs, windows };
+      try {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        await fs.promises.writeFile(tmpPath, JSON.stringify(data, null, 2) + '\n', 'utf8');
+        await fs.promises.rename(tmpPath, this.filePath);
+      } catch (err) {
+        this.logger?.warnMeta('Could not save duplicate windows', { file: this.filePath, message: err?.message });
+      }
+    }
+  }
+
+  async _release(key, entry) {
+    const held = entry.held;
+    if (!held) return;
+    clearTimeout(held.timer);
+    entry.held = null;
+    try {
+      await this.onEmit?.(held.item);
+    } catch (err) {
+      this.logger?.errorMeta('Held passing could not be emitted', { key, message: err?.message });
+    }
+    // Saved only now, so a window never suppresses a resend of a read that was not emitted
+    this._persist();
+  }
+}
+
+module.exports = { DuplicateFilter, SCOPES, MODES };
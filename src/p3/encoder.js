@@ -0,0 +1,152 @@
+const { tofNameCamelCase } = require('./names');
+const { getFieldDef } = require('./types');
+const { computeP3Crc, SOR, EOR, ESC } = require('./decoder');
+
+// P3 escapes every byte in 0x8A..0x8F between SOR and EOR as ESC, byte + 0x20.
+const ESCAPE_MIN = 0x8a;
+const ESCAPE_MAX = 0x8f;
+
+const DEFAULT_VERSION = 0x02;
+const HEADER_LEN = 10;
+
+function escapeRecord(unescaped) {
+  const out = [unescaped[0]];
+  for (let i = 1; i < unescaped.length - 1; i++) {
+    const b = unescaped[i];
+    if (b >= ESCAPE_MIN && b <= ESCAPE_MAX) {
+      out.push(ESC, (b + 0x20) & 0xFF);
+    } else {
+      out.push(b);
+    }
+  }
+  out.push(unescaped[unescaped.length - 1]);
+  return Buffer.from(out);
+}
+
+function toBigInt(value) {
+  if (typeof value === 'bigint') return value;
+  if (typeof value === 'number') return BigInt(Math.trunc(value));
+  return BigInt(String(value).trim());
+}
+
+function encodeByType(value, type) {
+  switch (type) {
+    case 'bool': {
+      const b = Buffer.alloc(1);
+      b.writeUInt8(value ? 1 : 0, 0);
+      return b;
+    }
+    case 'u8': {
+      const b = Buffer.alloc(1);
+      b.writeUInt8(Number(value), 0);
+      return b;
+    }
+    case 'i8': {
+      const b = Buffer.alloc(1);
+      b.writeInt8(Number(value), 0);
+      return b;
+    }
+    case 'u16': {
+      const b = Buffer.alloc(2);
+      b.writeUInt16LE(Number(value), 0);
+      return b;
+    }
+    case 'u32': {
+      const b = Buffer.alloc(4);
+      b.writeUInt32LE(Number(value), 0);
+      return b;
+    }
+    case 'i16': {
+      const b = Buffer.alloc(2);
+      b.writeInt16LE(Number(value), 0);
+      return b;
+    }
+    case 'i32': {
+      const b = Buffer.alloc(4);
+      b.writeInt32LE(Number(value), 0);
+      return b;
+    }
+    case 'u64': {
+      const b = Buffer.alloc(8);
+      b.writeBigUInt64LE(toBigInt(value), 0);
+      return b;
+    }
+    case 'i64': {
+      const b = Buffer.alloc(8);
+      b.writeBigInt64LE(toBigInt(value), 0);
+      return b;
+    }
+    case 'string':
+      return Buffer.from(String(value), 'utf8');
+    case 'hex':
+      return Buffer.from(String(value).replace(/[^0-9a-fA-F]/g, ''), 'hex');
+    case 'ipv4': {
+      const parts = String(value).trim().split('.').map(Number);
+      if (parts.length !== 4 || parts.some((n) => !Number.isInteger(n) || n < 0 || n > 255)) {
+        throw new Error(`Invalid IPv4 address: ${value}`);
+      }
+      return Buffer.from(parts);
+    }
+    default:
+      throw new Error(`Unsupported field type: ${type}`);
+  }
+}
+
+// Undo enum labels and fixed-point scaling so parse(encode(x)) gives x back
+function toRawValue(value, def) {
+  if (!def) return value;
+  if (def.enum && typeof value === 'string') {
+    const hit = Object.entries(def.enum).find(([, label]) => label === value);
+    if (hit) return Number(hit[0]);
+  }
+  if (def.scale != null && typeof value === 'number') return Math.round(value / def.scale);
+  return value;
+}
+
+// Serialize one TOF value. Buffers are written as-is; otherwise the type comes from the
+// field, then from the protocol definitions. tranCode mirrors the decoder and is written as ASCII.
+// Pass raw: true to skip enum/scale conversion.
+function encodeFieldValue(tor, { tof, type, value, raw = false }) {
+  if (Buffer.isBuffer(value)) return value;
+  if (tofNameCamelCase(tor, tof) === 'tranCode' && typeof value === 'string') {
+    return Buffer.from(value, 'ascii');
+  }
+  const def = getFieldDef(tor, tof);
+  const t = type || def?.type;
+  if (!t) throw new Error(`No type for TOR 0x${tor.toString(16).padStart(4, '0')} TOF 0x${tof.toString(16).padStart(2, '0')}`);
+  return encodeByType(raw ? value : toRawValue(value, def), t);
+}
+
+// Build an escaped P3 record (SOR .. EOR) ready to write to a socket.
+// fields: [{ tof, value, type? }] in wire order.
+function encodeRecord({ tor, fields = [], version = DEFAULT_VERSION, flags = 0 }) {
+  const use32 = (flags & 0x0001) === 0x0001;
+  const parts = [];
+  for (const field of fields) {
+    const data = encodeFieldValue(tor, field);
+    const hdr = Buffer.alloc(use32 ? 5 : 2);
+    hdr.writeUInt8(field.tof & 0xFF, 0);
+    if (use32) hdr.writeUInt32LE(data.length, 1);
+    else {
+      if (data.length > 0xFF) throw new Error(`Field 0x${field.tof.toString(16)} too long for 8-bit length (${data.length} bytes)`);
+      hdr.writeUInt8(data.length, 1);
+    }
+    parts.push(hdr, data);
+  }
+
+  const body = Buffer.concat(parts);
+  const unescaped = Buffer.alloc(HEADER_LEN + body.length + 1);
+  unescaped[0] = SOR;
+  unescaped.writeUInt8(version & 0xFF, 1);
+  unescaped.writeUInt16LE(unescaped.length & 0xFFFF, 2); // record length (unescaped)
+  unescaped.writeUInt16LE(0, 4); // CRC placeholder
+  unescaped.writeUInt16LE(flags & 0xFFFF, 6);
+  unescaped.writeUInt16LE(tor & 0xFFFF, 8);
+  body.copy(unescaped, HEADER_LEN);
+  unescaped[unescaped.length - 1] = EOR;
+
+  unescaped.writeUInt16LE(computeP3Crc(unescaped), 4);
+  return escapeRecord(unescaped);
+}
+
+module.exports = { encodeRecord, encodeFieldValue, escapeRecord };
@@ -0,0 +1,150 @@
+const { StreamP3Decoder, ESC } = require('./decoder');
+const { isVersionRecord, detectProfile } = require('./profiles');
+const { buildDecoded } = require('./payload');
+
+// Offline inspection of P3 bytes for `p3-bridge decode`: turns pasted hex into bytes and
+// walks them through StreamP3Decoder, keeping the byte offset of every record and escape.
+
+const HEX_FIELD_RE = /"(?:escapedHex|hex)"\s*:\s*"([0-9a-fA-F ]*)"/g;
+// Wireshark "Copy as Hex Dump" / xxd line: offset, up to 16 bytes, ASCII column
+const DUMP_LINE_RE = /^\s*[0-9a-fA-F]{4,8}(?::\s*|\s{2,})(.*)$/;
+
+function hexPairs(text, where) {
+  const clean = text.replace(/0x|\\x/gi, '').replace(/[^0-9a-fA-F]/g, '');
+  if (clean.length % 2) throw new Error(`odd number of hex digits${where ? ` in ${where}` : ''}`);
+  return Buffer.from(clean, 'hex');
+}
+
+function dumpLineBytes(rest) {
+  let hex = '';
+  for (const token of rest.trim().split(/\s+/)) {
+    if (!/^(?:[0-9a-fA-F]{2})+$/.test(token) || hex.length + token.length > 32) break;
+    hex += token;
+  }
+  return hex;
+}
+
+// Accepts plain hex ("8e 02 33 ..", "0x8e,0x02", "\x8e\x02"), hex dumps with offsets, capture
+// files and log lines / API output carrying escapedHex (unescapedHex is skipped, it is a copy).
+function bytesFromText(text) {
+  const fromFields = [...text.matchAll(HEX_FIELD_RE)].map((m) => m[1]);
+  if (fromFields.length) return hexPairs(fromFields.join(''), 'escapedHex');
+
+  const lines = text.split(/\r?\n/).filter((l) => l.trim());
+  if (lines.length && lines.every((l) => DUMP_LINE_RE.test(l))) {
+    return hexPairs(lines.map((l) => dumpLineBytes(l.match(DUMP_LINE_RE)[1])).join(''), 'hex dump');
+  }
+  return hexPairs(text);
+}
+
+// Offsets (in the escaped record) of every ESC pair, with the byte it stands for
+function escapePositions(escaped) {
+  const out = [];
+  for (let i = 0; i < escaped.length - 1; i++) {
+    if (escaped[i] !== ESC) continue;
+    const next = escaped[i + 1];
+    if (next >= 0xaa && next <= 0xaf) {
+      out.push({ offset: i, value: next - 0x20 });
+      i++;
+    }
+  }
+  return out;
+}
+
+function hexToBuffer(hex) {
+  return Buffer.from(String(hex || '').replace(/\s+/g, ''), 'hex');
+}
+
+// Returns { records, discarded, trailingBytes, profile }. Each record:
+// { index, offset, length, parsed, decoded, escapes }. Without a fixed profile the profile is
+// learned from Version records, like the bridge does per connection.
+function inspectBytes(bytes, { profile, byType } = {}) {
+  const records = [];
+  const discarded = [];
+  let cursor = 0;
+  let current = profile || 'generic';
+
+  const decoder = new StreamP3Decoder((parsed) => {
+    const escaped = hexToBuffer(parsed.ok ? parsed.raw?.escapedHex : parsed.escapedHex);
+    records.push({
+      index: records.length + 1,
+      offset: cursor,
+      length: escaped.length,
+      parsed,
+      decoded: parsed.ok ? buildDecoded(parsed.fields) : null,
+      escapes: escapePositions(escaped)
+    });
+    cursor += escaped.length;
+
+    if (!profile && isVersionRecord(parsed)) {
+      const d = buildDecoded(parsed.fields);
+      const next = detectProfile({ decoderType: d.decoderType, description: d.description }, byType);
+      if (next !== current) {
+        current = next;
+        decoder.setProfile(next);
+      }
+    }
+  }, {
+    profile: current,
+    maxRecordBytes: Math.max(64 * 1024, bytes.length + 1),
+    onDiscard: ({ reason, bytes: n }) => {
+      discarded.push({ reason, offset: cursor, bytes: n });
+      cursor += n;
+    }
+  });
+  decoder.push(bytes);
+
+  return { records, discarded, trailingBytes: decoder.bufferedBytes, profile: current };
+}
+
+function hex16(n, width = 4) {
+  return `0x${Number(n).toString(16).padStart(width, '0')}`;
+}
+
+function displayValue(f) {
+  if (f.truncated) return `(truncated) ${f.dataHex}`;
+  if (f.value === undefined) return f.dataHex;
+  const v = typeof f.value === 'string' ? JSON.stringify(f.value) : String(f.value);
+  return f.unit ? `${v} ${f.unit}` : v;
+}
+
+function pad(text, width) {
+  const s = String(text ?? '');
+  return s.length >= width ? s : s + ' '.repeat(width - s.length);
+}
+
+// Human readable listing, one block per record
+function formatTable({ records, discarded, trailingBytes }) {
+  const lines = [];
+  for (const r of records) {
+    const p = r.parsed;
+    if (!p.ok) {
+      lines.push(`#${r.index} @${r.offset}  ${p.code}  ${p.error} (${p.buffer} byte ${p.offset})`);
+      lines.push(`   escaped: ${p.escapedHex}`);
+      lines.push('');
+      continue;
+    }
+    const crc = p.crc.ok ? `CRC ok (${hex16(p.crc.in)})` : `CRC BAD (in ${hex16(p.crc.in)}, calc ${hex16(p.crc.calc)})`;
+    const unescapedLen = hexToBuffer(p.raw.unescapedHex).length;
+    lines.push(`#${r.index} @${r.offset}  ${p.torName || 'unknown'} (TOR ${hex16(p.tor)})  v${p.version}  flags ${hex16(p.flags)}  ${r.length} bytes (${unescapedLen} unescaped)  ${crc}  profile ${p.profile}`);
+    if (r.escapes.length) {
+      lines.push(`   escapes: ${r.escapes.map((e) => `@${e.offset} -> ${hex16(e.value, 2)}`).join(', ')}`);
+    }
+    lines.push(`   ${pad('TOF', 6)}${pad('Name', 22)}${pad('Type', 8)}${pad('Len', 5)}Value`);
+    for (const f of p.fields) {
+      lines.push(`   ${pad(hex16(f.tof, 2), 6)}${pad(f.tofName || '?', 22)}${pad(f.type || '-', 8)}${pad(f.length ?? '?', 5)}${displayValue(f)}`);
+    }
+    for (const issue of p.issues || []) {
+      lines.push(`   ! ${issue.code} (${issue.buffer} byte ${issue.offset}): ${issue.message}`);
+    }
+    lines.push('');
+  }
+  for (const d of discarded) {
+    lines.push(`skipped ${d.bytes} byte(s) at @${d.offset} (${d.reason})`);
+  }
+  if (trailingBytes) lines.push(`${trailingBytes} trailing byte(s) without EOR (incomplete record)`);
+  if (!records.length) lines.push('no P3 records found');
+  return lines.join('\n');
+}
+
+module.exports = { bytesFromText, inspectBytes, escapePositions, formatTable };
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+
+// Tracks the passing-number high-water mark per decoder so gaps (e.g. passings sent while
+// the TCP link was down, or while the bridge was restarting) can be detected and re-requested.
+// State is persisted to a small JSON file so the mark survives restarts.
+
+function safeReadJson(filePath) {
+  try {
+    if (!fs.existsSync(filePath)) return {};
+    const txt = fs.readFileSync(filePath, 'utf8');
+    if (!txt.trim()) return {};
+    const parsed = JSON.parse(txt);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+function normalizeEntry(entry) {
+  const last = Number(entry?.lastPassingNumber);
+  if (!Number.isInteger(last) || last < 0) return null;
+  return {
+    lastPassingNumber: last,
+    updatedAt: entry.updatedAt || null,
+    gaps: Number(entry.gaps) || 0,
+    missing: Number(entry.missing) || 0,
+    recovered: Number(entry.recovered) || 0,
+    resets: Number(entry.resets) || 0,
+    lastTime: entry.lastTime != null && Number.isFinite(Number(entry.lastTime)) ? Number(entry.lastTime) : null,
+    pending: Array.isArray(entry.pending)
+      ? entry.pending.filter((r) => Array.isArray(r) && Number.isInteger(r[0]) && Number.isInteger(r[1]) && r[0] <= r[1])
+      : []
+  };
+}
+
+class PassingNumberTracker {
+  constructor({ filePath, maxGap = 1000, maxPendingRanges = 50 }) {
+    this.filePath = filePath;
+    this.maxGap = Math.max(1, Number(maxGap) || 1000);
+    this.maxPendingRanges = Math.max(1, Number(maxPendingRanges) || 50);
+    this.entries = new Map();
+    for (const [key, entry] of Object.entries(safeReadJson(filePath))) {
+      const e = normalizeEntry(entry);
+      if (e) this.entries.set(key, e);
+    }
+    this._writing = false;
+    this._dirty = false;
+  }
+
+  // Returns { status, gap? } where status is first|next|gap|recovered|repeat|reset.
+  // gap is the missing range { from, until, count } clipped to maxGap passings.
+  // time is the passing's decoder time (rtcTime, µs); it tells a restarted counter from a resend.
+  observe(key, passingNumber, { time } = {}) {
+    const pn = Number(passingNumber);
+    if (!key || !Number.isInteger(pn) || pn < 0) return { status: 'invalid' };
+    const t = time != null && Number.isFinite(Number(time)) ? Number(time) : null;
+
+    const now = new Date().toISOString();
+    const entry = this.entries.get(key);
+    let result;
+
+    if (!entry) {
+      this.entries.set(key, { lastPassingNumber: pn, updatedAt: now, gaps: 0, missing: 0, recovered: 0, resets: 0, lastTime: t, pending: [] });
+      result = { status: 'first' };
+    } else if (pn === entry.lastPassingNumber + 1) {
+      entry.lastPassingNumber = pn;
+      entry.lastTime = t ?? entry.lastTime;
+      result = { status: 'next' };
+    } else if (pn > entry.lastPassingNumber) {
+      const until = pn - 1;
+      const from = Math.max(entry.lastPassingNumber + 1, until - this.maxGap + 1);
+      const count = until - entry.lastPassingNumber;
+      entry.lastPassingNumber = pn;
+      entry.lastTime = t ?? entry.lastTime;
+      entry.gaps += 1;
+      entry.missing += count;
+      entry.pending.push([from, until]);
+      if (entry.pending.length > this.maxPendingRanges) entry.pending.splice(0, entry.pending.length - this.maxPendingRanges);
+      result = { status: 'gap', gap: { from, until, count } };
+    } else if (this._takePending(entry, pn)) {
+      entry.recovered += 1;
+      result = { status: 'recovered' };
+    } else if (this._restarted(entry, pn, t)) {
+      entry.lastPassingNumber = pn;
+      entry.lastTime = t ?? entry.lastTime;
+      entry.pending = [];
+      entry.resets += 1;
+      result = { status: 'reset' };
+    } else {
+      result = { status: 'repeat' };
+    }
+
+    this.entries.get(key).updatedAt = now;
+    if (result.status !== 'repeat') this._persist();
+    return result;
+  }
+
+  // Decoder was cleared or replaced: the counter went far backwards, or started again at 0/1 with a
+  // passing newer than the last one. A low number with an older (or unknown) time is a resend.
+  _restarted(entry, pn, time) {
+    if (entry.lastPassingNumber - pn > this.maxGap) return true;
+    return pn <= 1 && time != null && entry.lastTime != null && time > entry.lastTime;
+  }
+
+  _takePending(entry, pn) {
+    const idx = entry.pending.findIndex(([from, until]) => pn >= from && pn <= until);
+    if (idx < 0) return false;
+    const [from, until] = entry.pending[idx];
+    const split = [];
+    if (from < pn) split.push([from, pn - 1]);
+    if (pn < until) split.push([pn + 1, until]);
+    entry.pending.splice(idx, 1, ...split);
+    return true;
+  }
+
+  summary() {
+    const out = {};
+    for (const [key, e] of this.entries.entries()) {
+      out[key] = {
+        lastPassingNumber: e.lastPassingNumber,
+        updatedAt: e.updatedAt,
+        gaps: e.gaps,
+        missing: e.missing,
+        recovered: e.recovered,
+        resets: e.resets,
+        outstanding: e.pending.reduce((n, [from, until]) => n + (until - from + 1), 0)
+      };
+    }
+    return out;
+  }
+
+  // Forget the decoders on one connection (keys "<source>" and "<source>#<decoderId>"), e.g. after
+  // Clear Passings, so the next passing starts a fresh count instead of looking like a repeat
+  forgetSource(source) {
+    let removed = 0;
+    for (const key of [...this.entries.keys()]) {
+      if (key === source || key.startsWith(`${source}#`)) {
+        this.entries.delete(key);
+        removed += 1;
+      }
+    }
+    if (removed) this._persist();
+    return removed;
+  }
+
+  resetCounters() {
+    for (const e of this.entries.values()) {
+      e.gaps = 0;
+      e.missing = 0;
+      e.recovered = 0;
+      e.resets = 0;
+    }
+    this._persist();
+  }
+
+  _persist() {
+    this._dirty = true;
+    if (!this._writing) void this._flush();
+  }
+
+  async _flush() {
+    this._writing = true;
+    while (this._dirty) {
+      this._dirty = false;
+      const data = Object.fromEntries(this.entries.entries());
+      try {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        await fs.promises.writeFile(tmpPath, JSON.stringify(data, null, 2) + '\n', 'utf8');
+        await fs.promises.rename(tmpPath, this.filePath);
+      } catch (_) {}
+    }
+    this._writing = false;
+  }
+}
+
+module.exports = { PassingNumberTracker };
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const { normalizeFields } = require('./units');
+const { encodeRecord } = require('./encoder');
+const { parseRecordFromEscapedBytes } = require('./decoder');
+const { TOR } = require('./types');
+
+// Top-level convenience object: tofName -> value (repeated TOFs become arrays)
+function buildDecoded(fields) {
+  const decoded = {};
+  for (const f of fields || []) {
+    if (!f.tofName) continue;
+    if (f.value === undefined) continue;
+    const key = f.tofName;
+    if (decoded[key] === undefined) decoded[key] = f.value;
+    else if (Array.isArray(decoded[key])) decoded[key].push(f.value);
+    else decoded[key] = [decoded[key], f.value];
+  }
+  return decoded;
+}
+
+// Id of a record for receivers to deduplicate on; it travels with the payload, so retries and queue
+// replays repeat it. Passings: "passing:<decoderId>:<passingNumber>:<rtcTime>", the same whenever the
+// decoder sends that passing. Other records (and passings missing one of those) identify one receipt:
+// "<torName>:" + the first 32 hex digits of the SHA-256 of source, receivedAt and the unescaped
+// record, so a status with the same values a minute later is a new event.
+function eventKey(parsed, decoded = {}, { source = '', receivedAt = '' } = {}) {
+  const time = decoded.rtcTime ?? decoded.utcTime;
+  if (parsed.torName === 'passing' && decoded.decoderId != null && decoded.passingNumber != null && time != null) {
+    return `passing:${decoded.decoderId}:${decoded.passingNumber}:${time}`;
+  }
+  const hash = crypto.createHash('sha256')
+    .update(`${source}|${receivedAt}|${parsed.raw?.unescapedHex || ''}`)
+    .digest('hex')
+    .slice(0, 32);
+  return `${parsed.torName || `tor-${parsed.tor}`}:${hash}`;
+}
+
+// Friendly JSON object sent to the webhook and written to the JSON log.
+// options: decoderClock (see clock tracking), normalizeUnits, includeRaw (escaped/unescaped hex),
+// receivedAt (ISO time the record arrived, default now)
+function buildPayload(parsed, decoded, source, { decoderClock, normalizeUnits = false, includeRaw = false, receivedAt = new Date().toISOString() } = {}) {
+  return {
+    receivedAt,
+    eventKey: eventKey(parsed, decoded, { source, receivedAt }),
+    version: parsed.version,
+    tor: parsed.tor,
+    torName: parsed.torName,
+    flags: parsed.flags,
+    crcOk: parsed.crc.ok,
+    source,
+    decoderProfile: parsed.profile,
+    decoderClock,
+    decoded,
+    normalized: normalizeUnits ? normalizeFields(parsed.torName, parsed.fields) : undefined,
+    fields: parsed.fields.map(f => ({
+      tof: f.tof,
+      tofName: f.tofName,
+      length: f.length,
+      type: f.type,
+      value: f.value,
+      valueType: f.valueType,
+      rawValue: f.rawValue,
+      unit: f.unit,
+      dataHex: f.dataHex,
+      dataAscii: f.dataAscii
+    })),
+    raw: includeRaw ? parsed.raw : undefined
+  };
+}
+
+// A made-up passing, encoded and parsed like a live one, for previews when nothing was received yet
+function samplePassingPayload(source = '192.168.1.89:5403') {
+  const us = BigInt(Date.now()) * 1000n;
+  const record = encodeRecord({
+    tor: TOR.passing,
+    fields: [
+      { tof: 0x01, value: 1234 },
+      { tof: 0x03, value: 1001 },
+      { tof: 0x04, value: us },
+      { tof: 0x05, value: 120 },
+      { tof: 0x06, value: 48 },
+      { tof: 0x08, value: 0 },
+      { tof: 0x10, value: us },
+      { tof: 0x81, value: 0x1234 }
+    ]
+  });
+  const parsed = parseRecordFromEscapedBytes(record);
+  return buildPayload(parsed, buildDecoded(parsed.fields), source);
+}
+
+module.exports = { buildDecoded, buildPayload, eventKey, samplePassingPayload };
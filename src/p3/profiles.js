@@ -0,0 +1,79 @@
+const { TOR } = require('./types');
+
+// Decoding profiles per decoder family. A connection starts on "generic" and switches once its
+// Version record (TOR 0x0003, or First contact 0x0045) tells us what is on the other end.
+//
+//   tranCode        'ascii' reads Tran Code as a text chip code, 'hex' keeps the raw bytes as hex
+//   transponderKey  which decoded field identifies the transponder (dedupe, event feed)
+const PROFILES = {
+  generic: {
+    label: 'Generic P3',
+    tranCode: 'ascii',
+    transponderKey: 'tranCode'
+  },
+  prochip: {
+    // alphanumeric chip codes (e.g. "KX-12345"), no numeric transponder field
+    label: 'ProChip',
+    tranCode: 'ascii',
+    transponderKey: 'tranCode'
+  },
+  x2: {
+    label: 'X2',
+    tranCode: 'ascii',
+    transponderKey: 'tranCode'
+  },
+  rc4: {
+    // numeric RC4 transponder in TOF 0x03; Tran Code, when sent, is binary
+    label: 'RC4',
+    tranCode: 'hex',
+    transponderKey: 'transponder'
+  },
+  amb: {
+    // older AMBrc/AMBmx/TranX decoders: numeric transponder only
+    label: 'AMB legacy',
+    tranCode: 'hex',
+    transponderKey: 'transponder'
+  }
+};
+
+// Matched against the Version/First contact description when decoderType is not in byType
+const DESCRIPTION_PATTERNS = [
+  [/prochip/i, 'prochip'],
+  [/\bx2\b/i, 'x2'],
+  [/\brc4\b/i, 'rc4'],
+  [/\bamb|tranx|chipx/i, 'amb']
+];
+
+function getProfile(name) {
+  const key = PROFILES[name] ? name : 'generic';
+  return { name: key, ...PROFILES[key] };
+}
+
+function isVersionRecord(parsed) {
+  return parsed?.ok === true && (parsed.tor === TOR.version || parsed.tor === TOR.firstContact);
+}
+
+// byType maps decoderType numbers (as strings) to profile names, from decoder.profiles.byType
+function detectProfile({ decoderType, description } = {}, byType = {}) {
+  const mapped = decoderType != null ? byType[String(decoderType)] : null;
+  if (mapped && PROFILES[mapped]) return mapped;
+  const text = String(description || '');
+  for (const [re, name] of DESCRIPTION_PATTERNS) {
+    if (re.test(text)) return name;
+  }
+  return 'generic';
+}
+
+function transponderId(decoded, profile) {
+  const primary = decoded?.[profile?.transponderKey || 'tranCode'];
+  const value = primary ?? decoded?.tranCode ?? decoded?.transponder;
+  return value == null || value === '' ? null : String(value);
+}
+
+module.exports = {
+  PROFILES,
+  getProfile,
+  isVersionRecord,
+  detectProfile,
+  transponderId
+};
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Holds records that failed the CRC check (decoder.crcPolicy = "quarantine") so they are
+// never posted automatically. Operators inspect them from the admin UI and release or discard.
+// Stored as a compact JSON array. Writes are asynchronous and coalesced: a burst of bad records
+// (a noisy cable) costs one write of the store, not one blocking write per record. flush() waits
+// for the file at shutdown.
+
+function safeReadJson(filePath) {
+  try {
+    if (!fs.existsSync(filePath)) return [];
+    const txt = fs.readFileSync(filePath, 'utf8');
+    if (!txt.trim()) return [];
+    const parsed = JSON.parse(txt);
+    return Array.isArray(parsed) ? parsed.filter((e) => e && typeof e === 'object' && e.id) : [];
+  } catch {
+    return [];
+  }
+}
+
+function summarize(entry) {
+  return {
+    id: entry.id,
+    quarantinedAt: entry.quarantinedAt,
+    reason: entry.reason,
+    source: entry.source,
+    tor: entry.tor,
+    torName: entry.torName,
+    crc: entry.crc,
+    decoderId: entry.payload?.decoded?.decoderId ?? null,
+    transponder: entry.payload?.decoded?.tranCode ?? entry.payload?.decoded?.transponder ?? null,
+    passingNumber: entry.payload?.decoded?.passingNumber ?? null
+  };
+}
+
+class QuarantineStore {
+  constructor({ filePath, maxEntries = 1000, onChange, logger }) {
+    this.filePath = filePath;
+    this.maxEntries = Math.max(1, Number(maxEntries) || 1000);
+    this.onChange = onChange;
+    this.logger = logger;
+    this.entries = safeReadJson(filePath);
+    this._dirty = false;
+    this._writing = null;
+  }
+
+  size() {
+    return this.entries.length;
+  }
+
+  persist() {
+    this._dirty = true;
+    if (!this._writing) this._writing = this._write().finally(() => { this._writing = null; });
+  }
+
+  // Waits until the file holds the current entries
+  async flush() {
+    await this._writing;
+  }
+
+  async _write() {
+    while (this._dirty) {
+      this._dirty = false;
+      try {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        await fs.promises.writeFile(tmpPath, JSON.stringify(this.entries));
+        await fs.promises.rename(tmpPath, this.filePath);
+      } catch (err) {
+        this.logger?.warnMeta('Could not save quarantine', { file: this.filePath, message: err?.message });
+      }
+    }
+  }
+
+  _notifyChange() {
+    try { this.onChange?.(this.entries.length); } catch (_) {}
+  }
+
+  // Returns { entry, dropped } where dropped counts the oldest entries evicted to stay under maxEntries
+  add({ source, reason = 'crc', parsed, payload, eventId }) {
+    const entry = {
+      id: crypto.randomUUID ? crypto.randomUUID() : crypto.randomBytes(16).toString('hex'),
+      eventId: eventId || null,
+      quarantinedAt: new Date().toISOString(),
+      reason,
+      source,
+      tor: parsed?.tor,
+      torName: parsed?.torName,
+      crc: parsed?.crc ? { in: parsed.crc.in, calc: parsed.crc.calc } : null,
+      raw: parsed?.raw || null,
+      payload
+    };
+    this.entries.push(entry);
+    const dropped = this.entries.length > this.maxEntries ? this.entries.length - this.maxEntries : 0;
+    if (dropped) this.entries.splice(0, dropped);
+    this.persist();
+    this._notifyChange();
+    return { entry, dropped };
+  }
+
+  // Newest first
+  list(limit) {
+    const n = Math.max(1, Number(limit) || this.entries.length || 1);
+    return this.entries.slice(-n).reverse().map(summarize);
+  }
+
+  get(id) {
+    return this.entries.find((e) => e.id === id) || null;
+  }
+
+  remove(id) {
+    const idx = this.entries.findIndex((e) => e.id === id);
+    if (idx < 0) return null;
+    const [entry] = this.entries.splice(idx, 1);
+    this.persist();
+    this._notifyChange();
+    return entry;
+  }
+
+  clear() {
+    const count = this.entries.length;
+    this.entries = [];
+    this.persist();
+    this._notifyChange();
+    return count;
+  }
+}
+
+module.exports = { QuarantineStore };
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const { TORS, GENERAL_TOFS } = require('./definitions');
+
+// Runtime view of the P3 definitions: built-in tables from definitions.js plus optional
+// user overrides (config `protocol` section and/or `protocol.definitionsFile`).
+// Overrides can rename TORs/TOFs, change field types and add scale/unit/enum metadata.
+
+const FIELD_TYPES = ['bool', 'u8', 'u16', 'u32', 'u64', 'i8', 'i16', 'i32', 'i64', 'string', 'hex', 'ipv4'];
+
+function builtinTables() {
+  const tors = {};
+  for (const [code, def] of Object.entries(TORS)) {
+    const tofs = {};
+    for (const [tof, [name, type]] of Object.entries(def.tofs)) tofs[tof] = { name, type };
+    tors[code] = { name: def.name, tofs };
+  }
+  const generalTofs = {};
+  for (const [tof, [name, type]] of Object.entries(GENERAL_TOFS)) generalTofs[tof] = { name, type };
+  return { tors, generalTofs };
+}
+
+let tables = builtinTables();
+let overrideSources = [];
+
+function parseCode(key, max) {
+  const s = String(key).trim();
+  const n = /^0x[0-9a-f]+$/i.test(s) ? parseInt(s, 16) : (/^\d+$/.test(s) ? Number(s) : NaN);
+  if (!Number.isInteger(n) || n < 0 || n > max) throw new Error(`invalid code: ${key}`);
+  return n;
+}
+
+// TOF entry: "Name", ["Name", "type"] or { name, type, scale, unit, enum }
+function normalizeTof(entry, where) {
+  let def;
+  if (typeof entry === 'string') def = { name: entry };
+  else if (Array.isArray(entry)) def = { name: entry[0], type: entry[1] };
+  else if (entry && typeof entry === 'object') def = { ...entry };
+  else throw new Error(`${where}: expected a name, [name, type] or object`);
+
+  const out = {};
+  if (def.name != null) out.name = String(def.name);
+  if (def.type != null) {
+    if (!FIELD_TYPES.includes(def.type)) throw new Error(`${where}: unknown type "${def.type}" (expected one of ${FIELD_TYPES.join(', ')})`);
+    out.type = def.type;
+  }
+  if (def.scale != null) {
+    const scale = Number(def.scale);
+    if (!Number.isFinite(scale) || scale === 0) throw new Error(`${where}: scale must be a non-zero number`);
+    out.scale = scale;
+  }
+  if (def.unit != null) out.unit = String(def.unit);
+  if (def.enum != null) {
+    if (typeof def.enum !== 'object' || Array.isArray(def.enum)) throw new Error(`${where}: enum must map values to labels`);
+    out.enum = Object.fromEntries(Object.entries(def.enum).map(([k, v]) => [String(k), String(v)]));
+  }
+  return out;
+}
+
+function applyOverrides(base, raw, label) {
+  if (!raw || typeof raw !== 'object') return;
+  for (const [torKey, torEntry] of Object.entries(raw.tors || {})) {
+    const tor = parseCode(torKey, 0xFFFF);
+    const where = `${label} tors.${torKey}`;
+    const entry = typeof torEntry === 'string' ? { name: torEntry } : (torEntry || {});
+    const target = base.tors[tor] || (base.tors[tor] = { name: `Tor 0x${tor.toString(16).padStart(4, '0')}`, tofs: {} });
+    if (entry.name != null) target.name = String(entry.name);
+    for (const [tofKey, tofEntry] of Object.entries(entry.tofs || {})) {
+      const tof = parseCode(tofKey, 0xFF);
+      target.tofs[tof] = { ...(target.tofs[tof] || {}), ...normalizeTof(tofEntry, `${where}.tofs.${tofKey}`) };
+    }
+  }
+  for (const [tofKey, tofEntry] of Object.entries(raw.generalTofs || {})) {
+    const tof = parseCode(tofKey, 0xFF);
+    base.generalTofs[tof] = { ...(base.generalTofs[tof] || {}), ...normalizeTof(tofEntry, `${label} generalTofs.${tofKey}`) };
+  }
+}
+
+// Replace the active overrides. sources: [{ label, definitions }], applied in order.
+// Throws (leaving the current tables untouched) if any source is invalid.
+function setProtocolOverrides(sources) {
+  const next = builtinTables();
+  for (const { label, definitions } of sources || []) applyOverrides(next, definitions, label || 'overrides');
+  tables = next;
+  overrideSources = (sources || []).map((src) => src.label || 'overrides');
+}
+
+function getTorDef(tor) {
+  return tables.tors[tor] || null;
+}
+
+function getTofDef(tor, tof) {
+  return tables.tors[tor]?.tofs?.[tof] || tables.generalTofs[tof] || null;
+}
+
+function hexKey(n, width) {
+  return `0x${n.toString(16).toUpperCase().padStart(width, '0')}`;
+}
+
+function getMergedDefinitions() {
+  const tors = {};
+  for (const [code, def] of Object.entries(tables.tors)) {
+    tors[hexKey(Number(code), 4)] = {
+      name: def.name,
+      tofs: Object.fromEntries(Object.entries(def.tofs).map(([tof, t]) => [hexKey(Number(tof), 2), t]))
+    };
+  }
+  const generalTofs = Object.fromEntries(Object.entries(tables.generalTofs).map(([tof, t]) => [hexKey(Number(tof), 2), t]));
+  return { sources: ['builtin', ...overrideSources], fieldTypes: FIELD_TYPES, tors, generalTofs };
+}
+
+function resolveDefinitionsFile(protocolCfg, cfgPath) {
+  const file = protocolCfg?.definitionsFile;
+  if (!file) return null;
+  return path.isAbsolute(file) ? file : path.resolve(path.dirname(cfgPath || path.join(process.cwd(), 'config.json')), file);
+}
+
+// Load overrides from config: definitionsFile first, then the inline protocol section.
+function loadProtocolDefinitions(cfg, cfgPath) {
+  const protocolCfg = cfg?.protocol || {};
+  const sources = [];
+  const filePath = resolveDefinitionsFile(protocolCfg, cfgPath);
+  if (filePath) {
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    sources.push({ label: path.basename(filePath), definitions: raw });
+  }
+  if (protocolCfg.tors || protocolCfg.generalTofs) {
+    sources.push({ label: 'config.protocol', definitions: protocolCfg });
+  }
+  setProtocolOverrides(sources);
+  return { filePath, sources: sources.map((s) => s.label) };
+}
+
+module.exports = {
+  FIELD_TYPES,
+  getTorDef,
+  getTofDef,
+  getMergedDefinitions,
+  setProtocolOverrides,
+  loadProtocolDefinitions,
+  resolveDefinitionsFile
+};
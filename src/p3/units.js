@@ -0,0 +1,91 @@
+// Engineering-unit conversions for decoded P3 fields (see the unit notes in definitions.js).
+// normalizeFields() returns { [tofName]: { value, unit } } for every field it knows how to scale.
+
+function scaled(factor, offset, unit) {
+  return (raw) => {
+    const n = Number(raw);
+    if (!Number.isFinite(n)) return null;
+    return { value: Number(((n + offset) * factor).toPrecision(12)), unit };
+  };
+}
+
+// µs since 1970 -> ISO-8601 with microsecond precision
+function microsToIso(raw) {
+  let us;
+  try { us = BigInt(raw); } catch (_) { return null; }
+  if (us <= 0n) return null;
+  const dt = new Date(Number(us / 1000n));
+  if (Number.isNaN(dt.getTime())) return null;
+  const frac = (us % 1000000n).toString().padStart(6, '0');
+  return { value: dt.toISOString().replace(/\.\d{3}Z$/, `.${frac}Z`), unit: 'iso8601' };
+}
+
+function secondsToIso(raw) {
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n <= 0) return null;
+  return { value: new Date(n * 1000).toISOString(), unit: 'iso8601' };
+}
+
+const deciVolts = scaled(0.1, 0, 'V');
+const deciCelsius = scaled(0.1, 0, '°C');
+const degrees = scaled(0.0001, 0, 'deg');
+
+const CONVERSIONS = {
+  passing: {
+    voltage: deciVolts,
+    temperature: scaled(1, -100, '°C'),
+    rtcTime: microsToIso,
+    utcTime: microsToIso
+  },
+  status: {
+    temperature: deciCelsius,
+    inputVoltage: deciVolts
+  },
+  version: {
+    release: secondsToIso
+  },
+  getTime: {
+    rtcTime: microsToIso,
+    utcTime: microsToIso
+  },
+  loopTrigger: {
+    temperature: deciCelsius,
+    rtcTime: microsToIso,
+    utcTime: microsToIso
+  },
+  gpsInfo: {
+    latitude: degrees,
+    longitude: degrees
+  },
+  session: {
+    startTime: microsToIso
+  },
+  generalSettings: {
+    realTimeClock: microsToIso
+  }
+};
+
+function normalizeFields(torName, fields) {
+  const table = CONVERSIONS[torName] || {};
+  const out = {};
+  for (const f of fields || []) {
+    if (!f || !f.tofName || f.value === undefined) continue;
+    let n = null;
+    if (f.valueType === 'enum') {
+      // labelled by a user protocol definition, nothing to convert
+    } else if (f.rawValue !== undefined || f.unit) {
+      // already scaled (or given a unit) by a user protocol definition; scaling again would double it
+      n = f.unit ? { value: f.value, unit: f.unit } : { value: f.value };
+    } else if (table[f.tofName]) {
+      n = table[f.tofName](f.value);
+    }
+    if (!n) continue;
+    const key = f.tofName;
+    if (out[key] === undefined) out[key] = n;
+    else if (Array.isArray(out[key])) out[key].push(n);
+    else out[key] = [out[key], n];
+  }
+  return Object.keys(out).length ? out : undefined;
+}
+
+module.exports = { normalizeFields, microsToIso };
@@ -0,0 +1,363 @@
+const net = require('net');
+const dgram = require('dgram');
+const { StreamP3Decoder, unescapeRecord } = require('../p3/decoder');
+const { encodeRecord, escapeRecord } = require('../p3/encoder');
+const { TOR } = require('../p3/types');
+const { TOF_REQUEST_ID } = require('../p3/commands');
+
+// A fake P3 decoder for testing the bridge without hardware. It serves TCP (the bridge connects
+// to it like to a real decoder) and/or sends to a UDP listener, and emits:
+//   - passings for a set of transponders with a configurable lap time distribution
+//   - Status records every statusIntervalSec and a Version record on connect / on request
+//   - a share of records with a broken CRC (crcErrorRate) and periodic disconnects
+// It answers Ping, Version, Get Time and Resend Passings. Passings created while no client is
+// connected are kept in history and only reach the bridge through Resend Passings, like a real box.
+
+const DEFAULTS = {
+  decoderId: 0x1234,
+  decoderType: 7,
+  description: 'P3 Simulator',
+  version: '4.3',
+  transponders: 10,              // a count, or a list of numbers (Transponder) / strings (Tran Code)
+  firstTransponder: 1000,
+  // stdDevSec, minSec and maxSec default to 5%, 50% and 200% of meanSec
+  lapTime: { distribution: 'normal', meanSec: 30 },
+  strength: [60, 180],
+  hits: [20, 120],
+  statusIntervalSec: 5,
+  crcErrorRate: 0,
+  disconnect: { everySec: 0, downSec: 0 },
+  clockOffsetMs: 0,
+  historySize: 10000
+};
+
+// Small seeded PRNG (mulberry32) so a run can be reproduced with the same seed
+function makeRandom(seed) {
+  if (seed == null) return Math.random;
+  let a = Number(seed) >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function resolveTransponders(spec, first) {
+  if (Array.isArray(spec)) return spec.filter((t) => t != null && t !== '');
+  const count = Math.max(1, Number(spec) || DEFAULTS.transponders);
+  return Array.from({ length: count }, (_, i) => first + i);
+}
+
+class DecoderSimulator {
+  constructor(opts = {}) {
+    this.opts = {
+      ...DEFAULTS,
+      ...opts,
+      lapTime: { ...DEFAULTS.lapTime, ...(opts.lapTime || {}) },
+      disconnect: { ...DEFAULTS.disconnect, ...(opts.disconnect || {}) }
+    };
+    this.logger = opts.logger;
+    this.random = makeRandom(opts.seed);
+    this.transponders = resolveTransponders(this.opts.transponders, Number(this.opts.firstTransponder) || 0);
+    this.passingNumber = 0;
+    this.history = [];
+    this.clients = new Set();
+    this.server = null;
+    this.udpSocket = null;
+    this.timers = new Set();
+    this.stopped = false;
+    this.stats = { connections: 0, passings: 0, status: 0, crcErrors: 0, disconnects: 0, resends: 0, resentPassings: 0, requests: 0 };
+  }
+
+  async start() {
+    const { tcp, udp } = this.opts;
+    if (tcp) await this._listen();
+    if (udp) await this._openUdp();
+    // First laps are staggered so the field does not cross the line together
+    for (const transponder of this.transponders) this._scheduleLap(transponder, this.random());
+    const statusSec = Number(this.opts.statusIntervalSec) || 0;
+    if (statusSec > 0) this._every(statusSec * 1000, () => this._emit(this._statusRecord()));
+    this._scheduleDisconnect();
+  }
+
+  async stop() {
+    this.stopped = true;
+    for (const timer of this.timers) clearTimeout(timer);
+    this.timers.clear();
+    for (const socket of this.clients) socket.destroy();
+    this.clients.clear();
+    await this._closeServer();
+    if (this.udpSocket) {
+      const socket = this.udpSocket;
+      this.udpSocket = null;
+      await new Promise((resolve) => socket.close(resolve));
+    }
+  }
+
+  _log(level, msg, meta) {
+    try { this.logger?.[`${level}Meta`]?.(msg, meta); } catch (_) {}
+  }
+
+  _every(ms, fn) {
+    const tick = () => {
+      this.timers.delete(timer);
+      if (this.stopped) return;
+      fn();
+      timer = setTimeout(tick, ms);
+      this.timers.add(timer);
+    };
+    let timer = setTimeout(tick, ms);
+    this.timers.add(timer);
+  }
+
+  _after(ms, fn) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      if (!this.stopped) fn();
+    }, ms);
+    this.timers.add(timer);
+  }
+
+  // ---- transports ----
+
+  _listen() {
+    const { host = '0.0.0.0', port = 5403 } = this.opts.tcp;
+    return new Promise((resolve, reject) => {
+      const server = net.createServer((socket) => this._onConnection(socket));
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.off('error', reject);
+        server.on('error', (err) => this._log('error', 'Simulator TCP server error', { message: err.message }));
+        this.server = server;
+        this._log('info', 'Simulator listening (TCP)', { host, port });
+        resolve();
+      });
+    });
+  }
+
+  _closeServer() {
+    if (!this.server) return Promise.resolve();
+    const server = this.server;
+    this.server = null;
+    return new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  _onConnection(socket) {
+    const peer = `${socket.remoteAddress}:${socket.remotePort}`;
+    this.clients.add(socket);
+    this.stats.connections += 1;
+    this._log('info', 'Simulator client connected', { peer });
+
+    const decoder = new StreamP3Decoder((parsed) => this._onRequest(parsed, (buf) => socket.write(buf)));
+    socket.on('data', (chunk) => decoder.push(chunk));
+    socket.on('error', () => {});
+    socket.on('close', () => {
+      this.clients.delete(socket);
+      this._log('info', 'Simulator client disconnected', { peer });
+    });
+    socket.write(this._versionRecord());
+  }
+
+  _openUdp() {
+    const { host = '127.0.0.1', port = 5303, bindPort = 0 } = this.opts.udp;
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket('udp4');
+      socket.once('error', reject);
+      socket.bind(bindPort, () => {
+        socket.off('error', reject);
+        socket.on('error', (err) => this._log('error', 'Simulator UDP error', { message: err.message }));
+        // Requests may also come in over UDP; replies go back to the sender
+        const decoders = new Map();
+        socket.on('message', (msg, rinfo) => {
+          const key = `${rinfo.address}:${rinfo.port}`;
+          if (!decoders.has(key)) {
+            decoders.set(key, new StreamP3Decoder((parsed) => this._onRequest(parsed, (buf) => socket.send(buf, rinfo.port, rinfo.address))));
+          }
+          decoders.get(key).push(msg);
+        });
+        this.udpSocket = socket;
+        this.udpTarget = { host, port };
+        this._log('info', 'Simulator sending (UDP)', { host, port, bindPort: socket.address().port });
+        resolve();
+      });
+    });
+  }
+
+  _emit(record) {
+    for (const socket of this.clients) socket.write(record);
+    if (this.udpSocket) this.udpSocket.send(record, this.udpTarget.port, this.udpTarget.host);
+  }
+
+  _scheduleDisconnect() {
+    const everySec = Number(this.opts.disconnect.everySec) || 0;
+    if (everySec > 0) this._after(everySec * 1000, () => this._disconnect());
+  }
+
+  // Drop every TCP client; with disconnect.downSec also refuse connections for that long.
+  // The next disconnect is counted from when the server is back.
+  _disconnect() {
+    const downSec = Number(this.opts.disconnect.downSec) || 0;
+    this.stats.disconnects += 1;
+    this._log('info', 'Simulator dropping connections', { clients: this.clients.size, downSec });
+    for (const socket of this.clients) socket.destroy();
+    if (!(downSec > 0 && this.server)) {
+      this._scheduleDisconnect();
+      return;
+    }
+    void this._closeServer().then(() => this._after(downSec * 1000, () => {
+      this._listen()
+        .catch((err) => this._log('error', 'Simulator could not listen again', { message: err.message }))
+        .finally(() => this._scheduleDisconnect());
+    }));
+  }
+
+  // ---- requests ----
+
+  _onRequest(parsed, reply) {
+    if (!parsed?.ok) return;
+    this.stats.requests += 1;
+    const requestId = parsed.fields.find((f) => f.tof === TOF_REQUEST_ID)?.value;
+    const withId = (fields) => (requestId != null ? [...fields, { tof: TOF_REQUEST_ID, value: requestId }] : fields);
+
+    switch (parsed.tor) {
+      case TOR.ping:
+        reply(encodeRecord({ tor: TOR.ping, fields: withId(this._generalFields()) }));
+        break;
+      case TOR.version:
+        reply(this._versionRecord(withId));
+        break;
+      case TOR.getTime: {
+        const us = BigInt(Date.now() + (Number(this.opts.clockOffsetMs) || 0)) * 1000n;
+        reply(encodeRecord({
+          tor: TOR.getTime,
+          fields: withId([{ tof: 0x01, value: us }, { tof: 0x05, value: us }, ...this._generalFields()])
+        }));
+        break;
+      }
+      case TOR.resendPassings: {
+        // Decoders answer with the passings themselves, without the Request ID
+        const from = Number(parsed.fields.find((f) => f.tof === 0x01)?.value);
+        const until = Number(parsed.fields.find((f) => f.tof === 0x02)?.value);
+        const hits = this.history.filter((p) => p.number >= from && p.number <= until);
+        this.stats.resends += 1;
+        this.stats.resentPassings += hits.length;
+        this._log('info', 'Simulator resending passings', { fromPassing: from, untilPassing: until, count: hits.length });
+        for (const p of hits) reply(p.record);
+        break;
+      }
+      default:
+        reply(encodeRecord({
+          tor: TOR.error,
+          fields: withId([{ tof: 0x01, value: 1 }, { tof: 0x02, value: `unsupported TOR 0x${parsed.tor.toString(16)}` }])
+        }));
+    }
+  }
+
+  // ---- records ----
+
+  _generalFields() {
+    return [{ tof: 0x81, value: this.opts.decoderId }];
+  }
+
+  _versionRecord(withId = (fields) => fields) {
+    return encodeRecord({
+      tor: TOR.version,
+      fields: withId([
+        { tof: 0x01, value: this.opts.decoderType },
+        { tof: 0x02, value: this.opts.description },
+        { tof: 0x03, value: this.opts.version },
+        ...this._generalFields()
+      ])
+    });
+  }
+
+  _statusRecord() {
+    this.stats.status += 1;
+    return this._maybeCorrupt(encodeRecord({
+      tor: TOR.status,
+      fields: [
+        { tof: 0x01, value: this._int(5, 40) },       // noise
+        { tof: 0x06, value: 1 },                      // GPS
+        { tof: 0x07, value: this._int(180, 320) },    // 1/10 °C
+        { tof: 0x0A, value: this._int(6, 12) },       // satellites
+        { tof: 0x0B, value: 0 },
+        { tof: 0x0C, value: this._int(120, 135) },    // 1/10 V
+        ...this._generalFields()
+      ]
+    }));
+  }
+
+  _passingRecord(number, transponder) {
+    const us = BigInt(Date.now() + (Number(this.opts.clockOffsetMs) || 0)) * 1000n;
+    const id = typeof transponder === 'string'
+      ? { tof: 0x0A, value: transponder }
+      : { tof: 0x03, value: transponder };
+    return encodeRecord({
+      tor: TOR.passing,
+      fields: [
+        { tof: 0x01, value: number },
+        id,
+        { tof: 0x04, value: us },
+        { tof: 0x05, value: this._int(...this.opts.strength) },
+        { tof: 0x06, value: this._int(...this.opts.hits) },
+        { tof: 0x08, value: 0 },
+        { tof: 0x10, value: us },
+        ...this._generalFields()
+      ]
+    });
+  }
+
+  _passing(transponder) {
+    this.passingNumber += 1;
+    const record = this._passingRecord(this.passingNumber, transponder);
+    this.history.push({ number: this.passingNumber, record });
+    if (this.history.length > this.opts.historySize) this.history.shift();
+    this.stats.passings += 1;
+    // The stored copy stays intact so a resend repairs a corrupted passing
+    this._emit(this._maybeCorrupt(record));
+  }
+
+  _scheduleLap(transponder, share = 1) {
+    this._after(Math.round(this._lapMs() * share), () => {
+      this._passing(transponder);
+      this._scheduleLap(transponder);
+    });
+  }
+
+  _maybeCorrupt(record) {
+    const rate = Number(this.opts.crcErrorRate) || 0;
+    if (rate <= 0 || this.random() >= rate) return record;
+    this.stats.crcErrors += 1;
+    const unescaped = unescapeRecord(record);
+    unescaped[4] ^= 0x5A;
+    return escapeRecord(unescaped);
+  }
+
+  _int(min, max) {
+    return Math.floor(min + this.random() * (max - min + 1));
+  }
+
+  _lapMs() {
+    const lap = this.opts.lapTime;
+    const meanSec = Number(lap.meanSec) || DEFAULTS.lapTime.meanSec;
+    const minSec = Math.max(0.1, Number(lap.minSec ?? meanSec * 0.5) || 0.1);
+    const maxSec = Math.max(minSec, Number(lap.maxSec ?? meanSec * 2) || minSec);
+    let sec;
+    if (lap.distribution === 'uniform') {
+      sec = minSec + this.random() * (maxSec - minSec);
+    } else if (lap.distribution === 'fixed') {
+      sec = meanSec;
+    } else {
+      // normal (Box-Muller)
+      const stdDevSec = Number(lap.stdDevSec ?? meanSec * 0.05) || 0;
+      const u = 1 - this.random();
+      const v = this.random();
+      sec = meanSec + stdDevSec * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+    return Math.round(Math.min(maxSec, Math.max(minSec, sec)) * 1000);
+  }
+}
+
+module.exports = { DecoderSimulator, DEFAULTS };
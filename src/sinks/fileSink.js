@@ -0,0 +1,47 @@
+const fs = require('fs');
+const path = require('path');
+
+// Appends one JSON payload per line to a file. Used for replay dry-runs and as a local archive.
+
+class FileSink {
+  constructor({ name, settings, logger }) {
+    if (!settings.path) throw new Error(`sink ${name}: path missing`);
+    this.name = name;
+    this.type = 'file';
+    this.path = path.resolve(settings.path);
+    this.logger = logger;
+    this.stream = null;
+    this.lastError = null;
+    this.lines = 0;
+  }
+
+  start() {
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    this.stream = fs.createWriteStream(this.path, { flags: 'a' });
+    this.stream.on('error', (err) => {
+      this.lastError = err.message;
+      this.logger?.errorMeta('File sink write failed', { sink: this.name, path: this.path, message: err.message });
+    });
+  }
+
+  stop() {
+    if (!this.stream) return Promise.resolve();
+    const stream = this.stream;
+    this.stream = null;
+    return new Promise((resolve) => stream.end(resolve));
+  }
+
+  health() {
+    return { ok: !!this.stream && !this.lastError, path: this.path, lines: this.lines, lastError: this.lastError };
+  }
+
+  async send(payload) {
+    if (!this.stream) return { status: 'failed', error: 'sink not started' };
+    if (this.lastError) return { status: 'failed', error: this.lastError };
+    this.stream.write(JSON.stringify(payload) + '\n');
+    this.lines += 1;
+    return { status: 'sent' };
+  }
+}
+
+module.exports = { FileSink };
@@ -0,0 +1,291 @@
+const { buildUrl, postWithRetries, createAttemptRateLimiter } = require('../http/poster');
+const { PostQueue } = require('../http/postQueue');
+const { createSigner } = require('../http/signing');
+const crypto = require('crypto');
+
+// HTTP(S) webhook sink: POSTs each payload, retries 429/5xx/network errors, and parks what
+// still fails in a persistent queue that is replayed in the background.
+// settings is read on every send, so live edits to the config object (admin settings) apply.
+//
+// hooks (all optional):
+//   onRetry(info, eventId)          one retry of a live or queued post
+//   onQueueSize(n)                  queue length changed
+//   onQueuedResult(entry, result)   a queued entry was retried ({ ok, status, error })
+//
+// With settings.signing every attempt carries an HMAC signature (see ../http/signing.js). Queue
+// entries are stored unsigned and signed again, with a fresh timestamp, when they are replayed.
+//
+// Every request carries an Idempotency-Key header: the record's eventKey, which stays the same for
+// retries and queue replays (it is stored with the queue entry). A batch sends a key derived from
+// its items' keys.
+//
+// Batch mode (settings.batch: { enabled, maxBatchSize, maxLatencyMs }): payloads are collected and
+// POSTed as one JSON array when maxBatchSize are waiting or the oldest has waited maxLatencyMs.
+// The receiver may answer per item, in order: { "results": [{ "ok": true }, { "ok": false, "error": "..." }] }
+// or a bare array of those. Items that may succeed later (status 429 or 5xx), or every item when the
+// request fails, are queued one by one as one-element arrays, so each recent event keeps its own post
+// status. Other rejected items (4xx, or no status) will not get better by retrying: they are failed.
+
+function describe(payload) {
+  const tranCode = payload?.decoded?.tranCode;
+  return { torName: payload?.torName, ...(tranCode ? { tranCode } : {}) };
+}
+
+// Per-item outcome from a batch response, or null when the receiver did not report per item
+function itemResults(data, count) {
+  const list = Array.isArray(data) ? data : Array.isArray(data?.results) ? data.results : null;
+  if (!list || list.length !== count) return null;
+  return list.map((r) => {
+    if (r && typeof r === 'object') {
+      const status = r.status != null ? Number(r.status) : null;
+      return { ok: r.ok !== false && !(status >= 300), status, error: r.error ?? null };
+    }
+    return { ok: r !== false, status: null, error: null };
+  });
+}
+
+// A failed item is worth retrying only when the receiver was overloaded or broken
+function retryable(status) {
+  return status === 429 || status >= 500;
+}
+
+class HttpSink {
+  constructor({ name, settings, logger, httpLogger, errorLogger, queueFile, hooks = {} }) {
+    this.name = name;
+    this.type = 'http';
+    this.settings = settings;
+    this.logger = logger;
+    this.httpLogger = httpLogger;
+    this.hooks = hooks;
+    this.waitForAttempt = createAttemptRateLimiter(settings.minIntervalMs ?? 500);
+    this.last = { status: null, error: null, okAt: null, failAt: null };
+    this.pending = [];
+    this.batchTimer = null;
+    this.batches = 0;
+    this.flushing = new Set();
+    buildUrl(settings.baseUrl, settings.path); // fail at startup, not on the first record
+    this.sign = createSigner(settings.signing);
+
+    this.queue = new PostQueue({
+      filePath: queueFile,
+      errorLogger,
+      intervalMs: 30_000,
+      drainMaxPerTick: settings.queueDrainMaxPerTick ?? 5,
+      onChange: (size) => { try { this.hooks.onQueueSize?.(size); } catch (_) {} },
+      onEntryResult: (entry, result) => { try { this.hooks.onQueuedResult?.(entry, result); } catch (_) {} },
+      postFn: (entry) => this._postQueued(entry)
+    });
+  }
+
+  start() {
+    if (this.queue.size() > 0) {
+      this.logger?.warnMeta('Loaded queued POST errors', { sink: this.name, count: this.queue.size(), file: this.queue.filePath });
+    }
+    this.queue.start();
+  }
+
+  // Records still waiting for their batch go to the queue file, so a restart does not lose them.
+  // Batches already being posted are awaited, so their failures can still be queued.
+  async stop() {
+    clearTimeout(this.batchTimer);
+    this.batchTimer = null;
+    const items = this.pending.splice(0);
+    if (items.length) {
+      for (const item of items) {
+        const { method, url, headers } = this._request([item.record]);
+        this.queue.enqueue({ method, url, headers, data: [item.payload], reason: 'shutdown before batch was sent', eventId: item.eventId });
+        item.resolve({ status: 'queued', error: 'shutdown' });
+      }
+    }
+    await Promise.allSettled([...this.flushing]);
+    this.queue.stop();
+  }
+
+  queueSize() {
+    return this.queue.size();
+  }
+
+  health() {
+    const queueSize = this.queue.size();
+    return {
+      ok: queueSize === 0 && (this.last.failAt == null || (this.last.okAt != null && this.last.okAt >= this.last.failAt)),
+      url: this._url(),
+      signed: Boolean(this.sign),
+      queueSize,
+      ...(this._batchSettings() ? { batchPending: this.pending.length, batchesSent: this.batches } : {}),
+      lastStatus: this.last.status,
+      lastError: this.last.error,
+      lastOkAt: this.last.okAt,
+      lastFailAt: this.last.failAt
+    };
+  }
+
+  _url() {
+    try { return buildUrl(this.settings.baseUrl, this.settings.path); } catch (_) { return null; }
+  }
+
+  // records: the untransformed payload(s) the request carries, for the Idempotency-Key header
+  _request(records = []) {
+    const headers = this.settings.headers || { 'Content-Type': 'application/json' };
+    const keys = records.map((record) => record?.eventKey).filter(Boolean);
+    let key = null;
+    if (records.length === 1) key = keys[0] || null;
+    else if (keys.length && keys.length === records.length) key = `batch:${crypto.createHash('sha256').update(keys.join('\n')).digest('hex').slice(0, 32)}`;
+    return {
+      url: buildUrl(this.settings.baseUrl, this.settings.path),
+      method: (this.settings.method || 'POST').toUpperCase(),
+      headers: key ? { ...headers, 'Idempotency-Key': key } : headers
+    };
+  }
+
+  _batchSettings() {
+    const b = this.settings.batch;
+    if (!b || b.enabled === false) return null;
+    return {
+      maxBatchSize: Math.max(1, Number(b.maxBatchSize ?? 50) || 1),
+      maxLatencyMs: Math.max(0, Number(b.maxLatencyMs ?? 250) || 0)
+    };
+  }
+
+  // A queued batch item only counts as delivered when the receiver did not report it failed. A
+  // rejection that retrying will not fix drops the entry from the queue (drop: true).
+  async _postQueued(entry) {
+    const res = await this._post({ method: entry.method, url: entry.url, headers: entry.headers, data: entry.data, eventId: entry.eventId });
+    if (res.ok && Array.isArray(entry.data)) {
+      const failed = itemResults(res.data, entry.data.length)?.find((item) => !item.ok);
+      if (failed) {
+        const error = failed.error || `item rejected${failed.status != null ? ` (${failed.status})` : ''}`;
+        return { ok: false, status: failed.status ?? res.status, error, drop: !retryable(failed.status) };
+      }
+    }
+    return res;
+  }
+
+  _post({ method, url, headers, data, eventId }) {
+    const s = this.settings;
+    return postWithRetries({
+      logger: this.logger,
+      httpLogger: this.httpLogger,
+      method,
+      url,
+      data,
+      headers,
+      timeoutMs: s.timeoutMs || 8000,
+      retries: s.retries ?? 5,
+      retryDelayMs: s.retryDelayMs ?? 500,
+      retryBackoffMultiplier: s.retryBackoffMultiplier ?? 2,
+      maxRetryDelayMs: s.maxRetryDelayMs ?? 8000,
+      beforeAttempt: this.waitForAttempt,
+      onRetry: (info) => { try { this.hooks.onRetry?.(info, eventId); } catch (_) {} },
+      sign: this.sign
+    });
+  }
+
+  // Resolves to { status: 'sent' | 'queued' | 'failed', httpStatus?, error? }; never throws.
+  // 'failed' only comes from batch items the receiver rejected.
+  async send(payload, { eventId, source, record = payload } = {}) {
+    const batch = this._batchSettings();
+    if (batch) {
+      return new Promise((resolve) => {
+        this.pending.push({ payload, record, eventId, resolve });
+        if (this.pending.length >= batch.maxBatchSize) {
+          this._startFlush();
+        } else if (!this.batchTimer) {
+          this.batchTimer = setTimeout(() => this._startFlush(), batch.maxLatencyMs);
+        }
+      });
+    }
+
+    const { url, method, headers } = this._request([record]);
+    const now = new Date().toISOString();
+
+    let reason;
+    let httpStatus;
+    try {
+      const res = await this._post({ method, url, headers, data: payload, eventId });
+      httpStatus = res.status;
+      this.last.status = res.status;
+      if (res.ok) {
+        this.last.okAt = now;
+        this.last.error = null;
+        this.logger?.infoMeta('Posted record', { sink: this.name, status: res.status, source, ...describe(record) });
+        return { status: 'sent', httpStatus };
+      }
+      reason = `HTTP ${res.status}`;
+      this.logger?.errorMeta('Failed to post record (queued)', { sink: this.name, status: res.status, source, ...describe(record) });
+    } catch (e) {
+      // Network / TLS / timeout errors after retries. Do NOT crash the server.
+      reason = e?.message || 'post exception';
+      this.logger?.errorMeta('Post exception (queued)', { sink: this.name, message: reason, source, ...describe(record) });
+    }
+
+    this.last.error = reason;
+    this.last.failAt = now;
+    this.queue.enqueue({ method, url, headers, data: payload, reason, eventId });
+    return { status: 'queued', httpStatus, error: reason };
+  }
+
+  _startFlush() {
+    const flush = this._flush().finally(() => this.flushing.delete(flush));
+    this.flushing.add(flush);
+  }
+
+  // Sends up to maxBatchSize waiting items as one request and settles each item's send()
+  async _flush() {
+    clearTimeout(this.batchTimer);
+    this.batchTimer = null;
+    const batch = this._batchSettings();
+    const items = this.pending.splice(0, batch?.maxBatchSize ?? this.pending.length);
+    if (this.pending.length) {
+      this.batchTimer = setTimeout(() => this._startFlush(), 0);
+    }
+    if (!items.length) return;
+
+    const { url, method, headers } = this._request(items.map((item) => item.record));
+    const now = new Date().toISOString();
+    this.batches += 1;
+    let res = null;
+    let reason = null;
+    try {
+      res = await this._post({ method, url, headers, data: items.map((item) => item.payload), eventId: items[0].eventId });
+      this.last.status = res.status;
+      if (!res.ok) reason = `HTTP ${res.status}`;
+    } catch (e) {
+      reason = e?.message || 'post exception';
+    }
+
+    const perItem = res?.ok ? itemResults(res.data, items.length) : null;
+    let sent = 0;
+    let queued = 0;
+    items.forEach((item, i) => {
+      const outcome = perItem ? perItem[i] : { ok: !reason, status: null, error: null };
+      if (outcome.ok) {
+        sent += 1;
+        item.resolve({ status: 'sent', httpStatus: res?.status });
+        return;
+      }
+      const itemReason = reason || outcome.error || `item rejected${outcome.status != null ? ` (${outcome.status})` : ''}`;
+      const httpStatus = outcome.status ?? res?.status;
+      if (perItem && !retryable(outcome.status)) {
+        item.resolve({ status: 'failed', httpStatus, error: itemReason });
+        return;
+      }
+      queued += 1;
+      this.queue.enqueue({ ...this._request([item.record]), data: [item.payload], reason: itemReason, eventId: item.eventId });
+      item.resolve({ status: 'queued', httpStatus, error: itemReason });
+    });
+
+    const failed = items.length - sent;
+    if (failed) {
+      this.last.error = reason || `${failed} of ${items.length} batch items rejected`;
+      this.last.failAt = now;
+      this.logger?.errorMeta(queued ? 'Batch post failed (queued)' : 'Batch items rejected', { sink: this.name, status: res?.status, size: items.length, failed, queued, message: this.last.error });
+    } else {
+      this.last.okAt = now;
+      this.last.error = null;
+    }
+    if (sent) this.logger?.infoMeta('Posted batch', { sink: this.name, status: res?.status, size: items.length, sent });
+  }
+}
+
+module.exports = { HttpSink };
@@ -0,0 +1,151 @@
+const { HttpSink } = require('./httpSink');
+const { FileSink } = require('./fileSink');
+const { MqttSink } = require('./mqttSink');
+const { compileTransform } = require('./transform');
+const { getProfile, transponderId } = require('../p3/profiles');
+
+// Output sinks. Every payload the bridge builds goes to each enabled sink whose filter matches.
+// A sink is an object with:
+//   name, type
+//   start()                              open connections/files, start queue replay
+//   send(payload, { eventId, source, record })   -> Promise<{ status: 'sent' | 'queued' | 'failed', error? }>
+//                                        (payload is after the sink's transform, record before it)
+//   stop()                               stop background work (may return a promise)
+//   health()                             -> { ok, ...details }
+// New outputs are added by registering their class here; the ingest path does not change.
+const SINK_TYPES = {
+  http: HttpSink,
+  file: FileSink,
+  mqtt: MqttSink
+};
+
+// Config entries: config.sinks = [{ name, type, enabled, filter, transform, ...type settings }].
+// Without a sinks list the legacy post section is the single "webhook" sink. settings stays a
+// reference into the live config so admin edits apply without a restart.
+function sinkDefinitions(cfg) {
+  if (Array.isArray(cfg.sinks)) {
+    return cfg.sinks
+      .filter((def) => def && typeof def === 'object')
+      .map((def, i) => ({
+        name: String(def.name || `${def.type || 'sink'}-${i + 1}`),
+        type: def.type,
+        enabled: def.enabled !== false,
+        filter: def.filter || null,
+        transform: def.transform ?? null,
+        settings: def
+      }));
+  }
+  if (!cfg.post) return [];
+  return [{ name: 'webhook', type: 'http', enabled: cfg.post.enabled !== false, filter: null, transform: cfg.post.transform ?? null, settings: cfg.post }];
+}
+
+function createSink(def, deps = {}) {
+  const Type = SINK_TYPES[def.type];
+  if (!Type) throw new Error(`unknown sink type "${def.type}" (known: ${Object.keys(SINK_TYPES).join(', ')})`);
+  return new Type({ name: def.name, settings: def.settings, ...deps });
+}
+
+function toList(value) {
+  if (value == null) return null;
+  return (Array.isArray(value) ? value : [value]).map(String);
+}
+
+// filter: { torNames, excludeTorNames, sources, decoderIds, transponders, crcOk }; every given key must match
+function matchesFilter(filter, payload, source = payload?.source) {
+  if (!filter) return true;
+  const torName = String(payload?.torName || '');
+  const torNames = toList(filter.torNames);
+  if (torNames && !torNames.includes(torName)) return false;
+  const excluded = toList(filter.excludeTorNames);
+  if (excluded && excluded.includes(torName)) return false;
+  const sources = toList(filter.sources);
+  if (sources && !sources.includes(String(source))) return false;
+  const decoderIds = toList(filter.decoderIds);
+  if (decoderIds && !decoderIds.includes(String(payload?.decoded?.decoderId))) return false;
+  const transponders = toList(filter.transponders);
+  if (transponders && !transponders.includes(String(transponderId(payload?.decoded || {}, getProfile(payload?.decoderProfile)) ?? ''))) return false;
+  if (typeof filter.crcOk === 'boolean' && payload?.crcOk !== filter.crcOk) return false;
+  return true;
+}
+
+// One status for the recent-events feed: 'posted', 'queued', 'failed', 'filtered' or 'disabled'
+function combineStatus(results) {
+  const statuses = Object.values(results).map((r) => r.status);
+  if (!statuses.length) return 'disabled';
+  const delivered = statuses.filter((s) => s !== 'filtered');
+  if (!delivered.length) return 'filtered';
+  if (delivered.includes('failed')) return 'failed';
+  if (delivered.includes('queued')) return 'queued';
+  return 'posted';
+}
+
+class SinkManager {
+  constructor({ logger, onResult } = {}) {
+    this.logger = logger;
+    this.onResult = onResult;
+    this.entries = [];
+  }
+
+  // transform: preset name or spec (see transform.js); an invalid one throws here
+  add(sink, { filter, transform } = {}) {
+    const reshape = transform != null ? compileTransform(transform) : null;
+    this.entries.push({ sink, filter: filter || null, transform: transform ?? null, reshape });
+    return sink;
+  }
+
+  get(name) {
+    return this.entries.find((e) => e.sink.name === name)?.sink || null;
+  }
+
+  list() {
+    return this.entries.map((e) => e.sink);
+  }
+
+  start() {
+    for (const { sink } of this.entries) {
+      try {
+        sink.start();
+      } catch (err) {
+        this.logger?.errorMeta('Sink failed to start', { sink: sink.name, type: sink.type, message: err?.message });
+      }
+    }
+  }
+
+  async stop() {
+    await Promise.allSettled(this.entries.map(({ sink }) => Promise.resolve().then(() => sink.stop())));
+  }
+
+  // Resolves to { status, results: { [sinkName]: { status, error? } } }; never throws.
+  // ctx.only (a routing rule's sink names) limits the sinks; the others count as filtered.
+  async publish(payload, ctx = {}) {
+    const results = {};
+    await Promise.all(this.entries.map(async ({ sink, filter, reshape }) => {
+      let result;
+      try {
+        const routed = !ctx.only || ctx.only.includes(sink.name);
+        const out = !routed || !matchesFilter(filter, payload, ctx.source) ? null : reshape ? reshape(payload) : payload;
+        result = out == null ? { status: 'filtered' } : await sink.send(out, { ...ctx, record: payload });
+      } catch (err) {
+        result = { status: 'failed', error: err?.message || 'sink error' };
+        this.logger?.errorMeta('Sink send failed', { sink: sink.name, type: sink.type, torName: payload?.torName, message: result.error });
+      }
+      results[sink.name] = result;
+      try { this.onResult?.(sink.name, result); } catch (_) {}
+    }));
+    return { status: combineStatus(results), results };
+  }
+
+  health() {
+    return this.entries.map(({ sink, filter, transform }) => {
+      let health;
+      try {
+        health = sink.health();
+      } catch (err) {
+        health = { ok: false, error: err?.message };
+      }
+      return { name: sink.name, type: sink.type, filter, transform, ...health };
+    });
+  }
+}
+
+module.exports = { SinkManager, SINK_TYPES, sinkDefinitions, createSink, matchesFilter };
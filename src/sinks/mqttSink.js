@@ -0,0 +1,164 @@
+const mqtt = require('mqtt');
+
+// Publishes each payload as JSON to an MQTT broker.
+//   topic          template, e.g. "p3/{decoderId}/{torName}" ({source}, {tor}, {transponder} too)
+//   qos            0, 1 or 2
+//   retain         torNames published retained (default ["status"]), so a new subscriber
+//                  sees the last Status of every decoder straight away; true retains everything
+//   statusTopic    bridge availability: {"online":true} on connect, {"online":false} as last will
+// mqtt.js reconnects on its own (reconnectPeriodMs) and holds publishes made while offline;
+// those count as queued, up to maxQueued, after which records are dropped (failed).
+
+function topicValue(value) {
+  if (value == null || value === '') return 'unknown';
+  return String(value).replace(/[/+#]/g, '_');
+}
+
+function renderTopic(template, payload, source) {
+  const values = {
+    decoderId: payload?.decoded?.decoderId,
+    torName: payload?.torName,
+    tor: payload?.tor != null ? `0x${Number(payload.tor).toString(16).padStart(4, '0')}` : null,
+    source,
+    transponder: payload?.decoded?.tranCode ?? payload?.decoded?.transponder
+  };
+  return template.replace(/\{(\w+)\}/g, (m, key) => (key in values ? topicValue(values[key]) : m));
+}
+
+function redactUrl(url) {
+  try {
+    const u = new URL(url);
+    if (u.password) u.password = '***';
+    return u.toString();
+  } catch (_) {
+    return url;
+  }
+}
+
+class MqttSink {
+  constructor({ name, settings, logger, hooks = {} }) {
+    if (!settings.url) throw new Error(`sink ${name}: url missing (e.g. mqtt://localhost:1883)`);
+    this.name = name;
+    this.type = 'mqtt';
+    this.settings = settings;
+    this.logger = logger;
+    this.hooks = hooks;
+    this.client = null;
+    this.offline = 0;
+    this.last = { error: null, connectAt: null, disconnectAt: null, reconnects: 0 };
+  }
+
+  get statusTopic() {
+    return this.settings.statusTopic ?? 'p3/bridge/status';
+  }
+
+  start() {
+    const s = this.settings;
+    const will = this.statusTopic
+      ? { topic: this.statusTopic, payload: JSON.stringify({ online: false }), qos: 1, retain: true }
+      : undefined;
+    this.client = mqtt.connect(s.url, {
+      clientId: s.clientId || `p3-bridge-${process.pid}-${Date.now().toString(36)}`,
+      username: s.username,
+      password: s.password ?? process.env.P3_MQTT_PASSWORD,
+      reconnectPeriod: s.reconnectPeriodMs ?? 5000,
+      connectTimeout: s.connectTimeoutMs ?? 10000,
+      clean: true,
+      will
+    });
+
+    this.client.on('connect', () => {
+      this.last.connectAt = new Date().toISOString();
+      this.last.error = null;
+      this.logger?.infoMeta('MQTT connected', { sink: this.name, url: redactUrl(s.url) });
+      if (this.statusTopic) {
+        this.client.publish(this.statusTopic, JSON.stringify({ online: true, at: this.last.connectAt }), { qos: 1, retain: true });
+      }
+    });
+    this.client.on('reconnect', () => {
+      this.last.reconnects += 1;
+    });
+    this.client.on('close', () => {
+      if (this.last.connectAt && (!this.last.disconnectAt || this.last.disconnectAt < this.last.connectAt)) {
+        this.last.disconnectAt = new Date().toISOString();
+        this.logger?.warnMeta('MQTT disconnected', { sink: this.name });
+      }
+    });
+    this.client.on('error', (err) => {
+      this.last.error = err?.message || 'mqtt error';
+      this.logger?.errorMeta('MQTT error', { sink: this.name, message: this.last.error });
+    });
+  }
+
+  stop() {
+    const client = this.client;
+    this.client = null;
+    if (!client) return Promise.resolve();
+    return new Promise((resolve) => {
+      const done = () => client.end(false, {}, () => resolve());
+      if (client.connected && this.statusTopic) {
+        client.publish(this.statusTopic, JSON.stringify({ online: false }), { qos: 1, retain: true }, done);
+      } else {
+        client.end(true, {}, () => resolve());
+      }
+    });
+  }
+
+  health() {
+    return {
+      ok: !!this.client?.connected,
+      url: redactUrl(this.settings.url),
+      connected: !!this.client?.connected,
+      queueSize: this.offline,
+      lastError: this.last.error,
+      lastConnectAt: this.last.connectAt,
+      lastDisconnectAt: this.last.disconnectAt,
+      reconnects: this.last.reconnects
+    };
+  }
+
+  queueSize() {
+    return this.offline;
+  }
+
+  _retain(torName) {
+    const retain = this.settings.retain ?? ['status'];
+    if (typeof retain === 'boolean') return retain;
+    return Array.isArray(retain) && retain.includes(torName);
+  }
+
+  _setOffline(delta) {
+    this.offline = Math.max(0, this.offline + delta);
+    try { this.hooks.onQueueSize?.(this.offline); } catch (_) {}
+  }
+
+  // Topic and retain follow the record as decoded (record), whatever shape the transform gave payload
+  send(payload, { source, record = payload } = {}) {
+    if (!this.client) return Promise.resolve({ status: 'failed', error: 'sink not started' });
+    const topic = renderTopic(this.settings.topic || 'p3/{decoderId}/{torName}', record, source);
+    const qos = [0, 1, 2].includes(Number(this.settings.qos)) ? Number(this.settings.qos) : 0;
+    const opts = { qos, retain: this._retain(record?.torName) };
+    const message = JSON.stringify(payload);
+
+    if (this.client.connected) {
+      return new Promise((resolve) => {
+        this.client.publish(topic, message, opts, (err) => {
+          if (!err) return resolve({ status: 'sent', topic });
+          this.last.error = err.message;
+          resolve({ status: 'failed', topic, error: err.message });
+        });
+      });
+    }
+
+    // Offline: mqtt.js keeps the message and sends it after reconnecting
+    const maxQueued = Math.max(0, Number(this.settings.maxQueued ?? 1000) || 0);
+    if (this.offline >= maxQueued) {
+      return Promise.resolve({ status: 'failed', topic, error: 'mqtt offline, queue full' });
+    }
+    this._setOffline(1);
+    this.client.publish(topic, message, opts, () => this._setOffline(-1));
+    return Promise.resolve({ status: 'queued', topic, error: 'mqtt offline' });
+  }
+}
+
+module.exports = { MqttSink, renderTopic };
@@ -0,0 +1,43 @@
+const { matchesFilter } = require('./manager');
+
+// Routing table (config.routes). The first rule whose match fits a record decides where it goes:
+//   { "name": "no-status", "match": { "torNames": ["status"] }, "action": "drop" }
+//   { "name": "box-1", "match": { "torNames": ["passing"], "decoderIds": ["4660"] }, "to": ["scoreboard"] }
+// match takes the sink filter keys (torNames, excludeTorNames, sources, decoderIds, transponders,
+// crcOk); an empty match fits every record.
+//   drop   the record is counted as suppressed and not logged, shown or sent (logging.suppressStatus
+//          is the rule { match: { torNames: ["status"] }, action: "drop" })
+//   to     only these sinks get it; their own filters and transforms still apply
+// Records that no rule matches go to every sink, as without a routing table.
+
+function compileRoute(def, index, { sinkNames = null } = {}) {
+  if (!def || typeof def !== 'object' || Array.isArray(def)) throw new Error('route must be an object');
+  const name = String(def.name || `route-${index + 1}`);
+  const match = def.match ?? {};
+  if (typeof match !== 'object' || Array.isArray(match)) throw new Error(`route ${name}: match must be an object`);
+
+  const action = def.action ?? (def.to != null ? 'send' : null);
+  if (action === 'drop') {
+    if (def.to != null) throw new Error(`route ${name}: use either "to" or "action": "drop"`);
+    return { name, match, action, to: null, hits: 0 };
+  }
+  if (action !== 'send') throw new Error(`route ${name}: needs "to" (sink names) or "action": "drop"`);
+
+  const to = (Array.isArray(def.to) ? def.to : [def.to]).map(String);
+  const unknown = sinkNames ? to.filter((sink) => !sinkNames.includes(sink)) : [];
+  if (unknown.length) throw new Error(`route ${name}: unknown sink(s) ${unknown.join(', ')}`);
+  return { name, match, action, to, hits: 0 };
+}
+
+// record is a payload, or anything with its torName, source, crcOk, decoderProfile and decoded
+function routeFor(routes, record) {
+  for (const route of routes) {
+    if (matchesFilter(route.match, record)) {
+      route.hits += 1;
+      return route;
+    }
+  }
+  return null;
+}
+
+module.exports = { compileRoute, routeFor };
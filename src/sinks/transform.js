@@ -0,0 +1,177 @@
+const { getProfile, transponderId } = require('../p3/profiles');
+
+// Declarative reshaping of the payload per output (sink setting "transform").
+// A transform is a preset name or a spec; a spec may start from a preset and then:
+//   torNames    only these record types are sent; others count as filtered
+//   select      paths to keep (default: everything), e.g. ["torName", "decoded.tranCode"]
+//   rename      { "from.path": "to.path" }
+//   fields      { "out.path": "source.path" | { "fn": "isoTime", "from": "decoded.rtcTime" } }
+//   constants   { "out.path": value }
+//   drop        paths to remove from the result, e.g. ["fields", "raw"]
+//   schema      name of the shape, sent with schemaVersion as "schema": "<name>/<version>"
+// Source paths in fields and computed values read the full payload, so they work after select/drop.
+// Steps run in the order above.
+
+const COMPUTED = {
+  // P3 times are microseconds since 1970; milliseconds and seconds are accepted too
+  isoTime: (v) => {
+    const n = Number(v);
+    if (v == null || !Number.isFinite(n)) return null;
+    const ms = n > 1e14 ? n / 1000 : n > 1e11 ? n : n * 1000;
+    const dt = new Date(Math.round(ms));
+    return Number.isNaN(dt.getTime()) ? null : dt.toISOString();
+  },
+  // microseconds -> milliseconds
+  ms: (v) => (v == null || !Number.isFinite(Number(v)) ? null : Math.round(Number(v) / 1000)),
+  hex: (v) => (v == null || !Number.isFinite(Number(v)) ? null : `0x${Number(v).toString(16)}`),
+  string: (v) => (v == null ? null : String(v)),
+  number: (v) => (v == null || !Number.isFinite(Number(v)) ? null : Number(v)),
+  now: () => new Date().toISOString(),
+  // Transponder id the way the decoder profile reads it (tranCode or transponder number)
+  transponder: (v, payload) => transponderId(payload.decoded || {}, getProfile(payload.decoderProfile)) || null
+};
+
+const PRESETS = {
+  // Everything the bridge builds (the default without a transform, plus the schema field)
+  full: { schema: 'full', schemaVersion: 1 },
+  // Decoded values without the per-field breakdown and raw hex
+  compact: { schema: 'compact', schemaVersion: 1, drop: ['fields', 'raw', 'normalized'] },
+  // One flat object per passing; status and other records are not sent
+  'passing-only': {
+    schema: 'passing',
+    schemaVersion: 1,
+    torNames: ['passing'],
+    select: ['eventKey', 'receivedAt', 'source', 'crcOk'],
+    fields: {
+      decoderId: 'decoded.decoderId',
+      passingNumber: 'decoded.passingNumber',
+      transponder: { fn: 'transponder' },
+      passedAt: { fn: 'isoTime', from: 'decoded.rtcTime' },
+      utcTime: { fn: 'isoTime', from: 'decoded.utcTime' },
+      strength: 'decoded.strength',
+      hits: 'decoded.hits'
+    }
+  }
+};
+
+function splitPath(p) {
+  return String(p).split('.').filter(Boolean);
+}
+
+function getPath(obj, p) {
+  let cur = obj;
+  for (const part of splitPath(p)) {
+    if (cur == null || typeof cur !== 'object') return undefined;
+    cur = cur[part];
+  }
+  return cur;
+}
+
+function setPath(obj, p, value) {
+  const parts = splitPath(p);
+  let cur = obj;
+  for (let i = 0; i < parts.length - 1; i += 1) {
+    if (!cur[parts[i]] || typeof cur[parts[i]] !== 'object') cur[parts[i]] = {};
+    cur = cur[parts[i]];
+  }
+  cur[parts[parts.length - 1]] = value;
+}
+
+// Also removes parent objects the deletion left empty
+function deletePath(obj, p) {
+  const parts = splitPath(p);
+  const chain = [obj];
+  for (const part of parts.slice(0, -1)) {
+    const next = chain[chain.length - 1][part];
+    if (next == null || typeof next !== 'object') return;
+    chain.push(next);
+  }
+  delete chain[chain.length - 1][parts[parts.length - 1]];
+  for (let i = chain.length - 1; i > 0 && !Object.keys(chain[i]).length; i -= 1) {
+    delete chain[i - 1][parts[i - 1]];
+  }
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function assertPaths(list, key) {
+  if (list == null) return;
+  if (!Array.isArray(list) || list.some((p) => typeof p !== 'string' || !splitPath(p).length)) {
+    throw new Error(`transform.${key} must be a list of paths`);
+  }
+}
+
+function assertMap(map, key) {
+  if (map == null) return;
+  if (typeof map !== 'object' || Array.isArray(map)) throw new Error(`transform.${key} must be an object`);
+}
+
+// Preset name or spec -> full spec with the preset's settings merged under the spec's own
+function resolveSpec(spec) {
+  if (typeof spec === 'string') spec = { preset: spec };
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) throw new Error('transform must be a preset name or an object');
+  if (spec.preset == null) return spec;
+  const base = PRESETS[spec.preset];
+  if (!base) throw new Error(`unknown transform preset "${spec.preset}" (known: ${Object.keys(PRESETS).join(', ')})`);
+  const merged = { ...base, ...spec };
+  for (const key of ['fields', 'constants', 'rename']) {
+    if (base[key] || spec[key]) merged[key] = { ...(base[key] || {}), ...(spec[key] || {}) };
+  }
+  if (base.drop || spec.drop) merged.drop = [...(base.drop || []), ...(spec.drop || [])];
+  return merged;
+}
+
+// Checks the spec once and returns payload => transformed payload, or null when the record is not
+// for this output (torNames). Throws on an invalid spec so a bad config fails at startup.
+function compileTransform(input) {
+  const spec = resolveSpec(input);
+  assertPaths(spec.select, 'select');
+  assertPaths(spec.drop, 'drop');
+  assertMap(spec.rename, 'rename');
+  assertMap(spec.fields, 'fields');
+  assertMap(spec.constants, 'constants');
+  const torNames = spec.torNames == null ? null : (Array.isArray(spec.torNames) ? spec.torNames : [spec.torNames]).map(String);
+  for (const [out, source] of Object.entries(spec.fields || {})) {
+    if (typeof source === 'string') continue;
+    const fn = source && typeof source === 'object' ? source.fn : undefined;
+    if (!COMPUTED[fn]) {
+      throw new Error(`transform.fields.${out}: fn must be one of ${Object.keys(COMPUTED).join(', ')}`);
+    }
+  }
+  const schema = spec.schema ? `${spec.schema}/${spec.schemaVersion ?? 1}` : null;
+
+  return (payload) => {
+    if (torNames && !torNames.includes(String(payload?.torName))) return null;
+
+    let out;
+    if (spec.select) {
+      out = {};
+      for (const p of spec.select) {
+        const v = getPath(payload, p);
+        if (v !== undefined) setPath(out, p, clone(v));
+      }
+    } else {
+      out = clone(payload);
+    }
+    for (const [from, to] of Object.entries(spec.rename || {})) {
+      const v = getPath(out, from);
+      if (v === undefined) continue;
+      deletePath(out, from);
+      setPath(out, to, v);
+    }
+    for (const [p, source] of Object.entries(spec.fields || {})) {
+      const v = typeof source === 'string'
+        ? clone(getPath(payload, source))
+        : COMPUTED[source.fn](source.from ? getPath(payload, source.from) : undefined, payload);
+      setPath(out, p, v === undefined ? null : v);
+    }
+    for (const [p, v] of Object.entries(spec.constants || {})) setPath(out, p, clone(v));
+    for (const p of spec.drop || []) deletePath(out, p);
+    if (schema) out.schema = schema;
+    return out;
+  };
+}
+
+module.exports = { compileTransform, resolveSpec, PRESETS, COMPUTED };
@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DuplicateFilter } = require('../src/p3/duplicateFilter');
+
+function read(transponder, eventTimeMs, extra = {}) {
+  return { transponder, eventTimeMs, decoderId: 4660, source: '10.0.0.5:5403', strength: 100, hits: 50, ...extra };
+}
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'p3-dup-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'duplicate-windows.json');
+}
+
+// A restart: a new filter on the same file, as the bridge builds it at startup
+function restart(filePath, options = {}) {
+  const emitted = [];
+  const filter = new DuplicateFilter({ windowMs: 5000, filePath, onEmit: (item) => emitted.push(item), ...options });
+  return { filter, emitted };
+}
+
+test('global scope: one window per transponder over all decoders', () => {
+  const filter = new DuplicateFilter({ windowMs: 5000 });
+  assert.equal(filter.keyOf(read('1001', 0)), '1001');
+  assert.equal(filter.check(read('1001', 10_000), 'a').action, 'accept');
+  assert.equal(filter.check(read('1001', 11_000, { decoderId: 9, source: '10.0.0.6:5403' }), 'b').action, 'duplicate');
+  assert.equal(filter.check(read('1002', 11_000), 'c').action, 'accept');
+});
+
+test('decoder scope: one window per transponder and decoder', () => {
+  const filter = new DuplicateFilter({ windowMs: 5000, scope: 'decoder' });
+  assert.equal(filter.keyOf(read('1001', 0)), '4660|1001');
+  // Without a decoder ID the source tells decoders apart
+  assert.equal(filter.keyOf(read('1001', 0, { decoderId: undefined })), '10.0.0.5:5403|1001');
+
+  assert.equal(filter.check(read('1001', 10_000), 'a').action, 'accept');
+  assert.equal(filter.check(read('1001', 10_500, { decoderId: 9 }), 'b').action, 'accept');
+  assert.equal(filter.check(read('1001', 11_000), 'c').action, 'duplicate');
+});
+
+test('timingPoint scope: decoders of one timing point share a window', () => {
+  const filter = new DuplicateFilter({ windowMs: 5000, scope: 'timingPoint', timingPoints: { finish: ['4660', '10.0.0.6:5403'], pit: 9 } });
+  assert.equal(filter.keyOf(read('1001', 0)), 'finish|1001');
+  assert.equal(filter.keyOf(read('1001', 0, { decoderId: undefined, source: '10.0.0.6:5403' })), 'finish|1001');
+  assert.equal(filter.keyOf(read('1001', 0, { decoderId: 9 })), 'pit|1001');
+  // Unlisted decoders are their own timing point
+  assert.equal(filter.keyOf(read('1001', 0, { decoderId: 77 })), '77|1001');
+
+  assert.equal(filter.check(read('1001', 10_000), 'main').action, 'accept');
+  assert.equal(filter.check(read('1001', 10_200, { decoderId: undefined, source: '10.0.0.6:5403' }), 'backup').action, 'duplicate');
+  assert.equal(filter.check(read('1001', 10_300, { decoderId: 9 }), 'pit').action, 'accept');
+});
+
+test('unknown scope or mode is refused', () => {
+  assert.throws(() => new DuplicateFilter({ windowMs: 5000, scope: 'track' }), /duplicateScope/);
+  assert.throws(() => new DuplicateFilter({ windowMs: 5000, mode: 'last' }), /duplicateMode/);
+});
+
+test('first mode: the window is measured in decoder time, both ways', () => {
+  const filter = new DuplicateFilter({ windowMs: 5000 });
+  assert.equal(filter.check(read('1001', 10_000), 'a').action, 'accept');
+  assert.equal(filter.check(read('1001', 14_999), 'b').action, 'duplicate');
+  // An older resent passing inside the window is a duplicate too
+  assert.equal(filter.check(read('1001', 6_000), 'c').action, 'duplicate');
+  assert.equal(filter.check(read('1001', 15_000), 'd').action, 'accept');
+});
+
+test('best mode: a stronger read replaces the held one, a weaker one is a duplicate', async () => {
+  const emitted = [];
+  const filter = new DuplicateFilter({ windowMs: 60_000, mode: 'best', onEmit: (item) => emitted.push(item) });
+
+  assert.deepEqual(filter.check(read('1001', 10_000, { strength: 100 }), 'first'), { action: 'hold', key: '1001' });
+  assert.deepEqual(filter.check(read('1001', 10_100, { strength: 150 }), 'stronger'), { action: 'hold', key: '1001', replaced: 'first' });
+  assert.deepEqual(filter.check(read('1001', 10_200, { strength: 120 }), 'weaker'), { action: 'duplicate', key: '1001' });
+  // Same strength: more hits wins
+  assert.equal(filter.check(read('1001', 10_300, { strength: 150, hits: 80 }), 'more hits').replaced, 'stronger');
+  assert.equal(filter.heldCount(), 1);
+  assert.deepEqual(emitted, []);
+
+  await filter.flush();
+  assert.deepEqual(emitted, ['more hits']);
+  assert.equal(filter.heldCount(), 0);
+  // The emitted window still suppresses the rest of the reads in it
+  assert.equal(filter.check(read('1001', 10_400, { strength: 250 }), 'late').action, 'duplicate');
+});
+
+test('best mode: the held read is emitted when the window closes', async () => {
+  const emitted = [];
+  const filter = new DuplicateFilter({ windowMs: 30, mode: 'best', onEmit: (item) => emitted.push(item) });
+  filter.check(read('1001', 10_000), 'a');
+  filter.check(read('1002', 10_000), 'b');
+  await new Promise((resolve) => setTimeout(resolve, 80));
+  assert.deepEqual(emitted.sort(), ['a', 'b']);
+  assert.equal(filter.heldCount(), 0);
+});
+
+test('best mode: a read after the window releases the held one first', async () => {
+  const emitted = [];
+  const filter = new DuplicateFilter({ windowMs: 60_000, mode: 'best', onEmit: (item) => emitted.push(item) });
+  filter.check(read('1001', 10_000), 'lap 1');
+  assert.equal(filter.check(read('1001', 80_000), 'lap 2').action, 'hold');
+  assert.deepEqual(emitted, ['lap 1']);
+  await filter.flush();
+  assert.deepEqual(emitted, ['lap 1', 'lap 2']);
+});
+
+test('first mode: restored windows keep suppressing resends', async (t) => {
+  const file = tempFile(t);
+  const a = restart(file);
+  assert.equal(a.filter.check(read('1001', 10_000), 'p1').action, 'accept');
+  await a.filter.flush();
+
+  const b = restart(file);
+  assert.deepEqual(b.filter.restored, { restored: 1, pruned: 0 });
+  assert.equal(b.filter.check(read('1001', 10_000), 'p1 resent').action, 'duplicate');
+  assert.equal(b.filter.check(read('1001', 16_000), 'next lap').action, 'accept');
+});
+
+test('expired windows and windows of another scope are not restored', async (t) => {
+  const file = tempFile(t);
+  const now = Date.now();
+  const saved = JSON.stringify({
+    scope: 'global',
+    windowMs: 5000,
+    windows: { 1001: { acceptedAt: 1000, seenAt: now - 60_000 }, 1002: { acceptedAt: 2000, seenAt: now - 1000 } }
+  });
+  fs.writeFileSync(file, saved);
+  const global = restart(file).filter;
+  assert.deepEqual(global.restored, { restored: 1, pruned: 1 });
+  await global.flush();
+
+  fs.writeFileSync(file, saved);
+  assert.deepEqual(restart(file, { scope: 'decoder' }).filter.restored, { restored: 0, pruned: 2 });
+});
+
+test('best mode: a read held when the bridge dies is emitted after the restart', async (t) => {
+  const file = tempFile(t);
+  const a = restart(file, { mode: 'best' });
+  assert.equal(a.filter.check(read('1001', 10_000), 'finish').action, 'hold');
+  // Let any write happen, then "crash": no flush(), the held read is never emitted
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.deepEqual(a.emitted, []);
+  for (const entry of a.filter.windows.values()) clearTimeout(entry.held?.timer);
+
+  const b = restart(file, { mode: 'best' });
+  assert.deepEqual(b.filter.restored, { restored: 0, pruned: 0 });
+  assert.equal(b.filter.check(read('1001', 10_000), 'finish resent').action, 'hold');
+  await b.filter.flush();
+  assert.deepEqual(b.emitted, ['finish resent']);
+
+  // Once emitted, the window is saved and suppresses a further resend
+  const c = restart(file, { mode: 'best' });
+  assert.deepEqual(c.filter.restored, { restored: 1, pruned: 0 });
+  assert.equal(c.filter.check(read('1001', 10_000), 'again').action, 'duplicate');
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeRecord } = require('../src/p3/encoder');
+const { parseRecordFromEscapedBytes, unescapeRecord, ESC } = require('../src/p3/decoder');
+const { TOR } = require('../src/p3/types');
+
+// encodeRecord -> parseRecordFromEscapedBytes must give back the fields that went in
+
+function roundTrip(record) {
+  const escaped = encodeRecord(record);
+  const parsed = parseRecordFromEscapedBytes(escaped);
+  assert.equal(parsed.ok, true, parsed.error);
+  assert.equal(parsed.crc.ok, true, 'CRC');
+  assert.equal(parsed.issues, undefined, JSON.stringify(parsed.issues));
+  assert.equal(parsed.tor, record.tor);
+  assert.equal(parsed.flags, record.flags ?? 0);
+  return { escaped, parsed };
+}
+
+function valuesOf(parsed) {
+  return parsed.fields.map((f) => [f.tof, f.value]);
+}
+
+test('passing with values in the escape range', () => {
+  const fields = [
+    { tof: 0x01, value: 0x8e8a },            // passingNumber: bytes 8a 8e
+    { tof: 0x03, value: 0x8f8d8c8b },        // transponder: bytes 8b 8c 8d 8f
+    { tof: 0x04, value: 1760000000123456n }, // rtcTime (u64)
+    { tof: 0x05, value: 0x8c8d }             // strength: bytes 8d 8c
+  ];
+  const { escaped, parsed } = roundTrip({ tor: TOR.passing, fields });
+
+  // Every byte 0x8a..0x8f between SOR and EOR is escaped on the wire
+  const body = escaped.subarray(1, escaped.length - 1);
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] === ESC) i += 1;
+    else assert.ok(body[i] < 0x8a || body[i] > 0x8f, `unescaped 0x${body[i].toString(16)} at ${i + 1}`);
+  }
+  assert.ok(escaped.length > unescapeRecord(escaped).length);
+  assert.deepEqual(valuesOf(parsed), [[0x01, 0x8e8a], [0x03, 0x8f8d8c8b], [0x04, 1760000000123456], [0x05, 0x8c8d]]);
+});
+
+test('8-bit TOF length that is itself escaped', () => {
+  // A 0x8c-byte field: the length byte needs an escape, and so does every data byte
+  const data = Buffer.alloc(0x8c, 0x8d);
+  const { parsed } = roundTrip({ tor: TOR.passing, fields: [{ tof: 0x01, value: 7 }, { tof: 0x70, value: data }] });
+  const field = parsed.fields.find((f) => f.tof === 0x70);
+  assert.equal(field.length, 0x8c);
+  assert.equal(parsed.fields[0].value, 7);
+});
+
+test('32-bit TOF lengths (flags 0x0001)', () => {
+  const fields = [
+    { tof: 0x01, value: 0x8a8b },
+    { tof: 0x03, value: 4242 },
+    { tof: 0x70, value: Buffer.alloc(300, 0x8e) } // too long for an 8-bit length
+  ];
+  const { parsed } = roundTrip({ tor: TOR.passing, fields, flags: 0x0001 });
+  assert.deepEqual(parsed.fields.map((f) => f.length), [4, 4, 300]);
+  assert.deepEqual(valuesOf(parsed).slice(0, 2), [[0x01, 0x8a8b], [0x03, 4242]]);
+
+  // Header length is the unescaped size: 10 header bytes, 3 x (1 + 4) TOF headers, data, EOR
+  assert.equal(parsed.spare, 10 + 15 + 4 + 4 + 300 + 1);
+});
+
+test('8-bit lengths refuse a field longer than 255 bytes', () => {
+  assert.throws(() => encodeRecord({ tor: TOR.passing, fields: [{ tof: 0x70, value: Buffer.alloc(256) }] }), /too long for 8-bit length/);
+});
+
+test('same fields, both length widths', () => {
+  const fields = [{ tof: 0x01, value: 1 }, { tof: 0x03, value: 0x8f8f8f8f }, { tof: 0x81, value: 0x1234 }];
+  const narrow = roundTrip({ tor: TOR.passing, fields }).parsed;
+  const wide = roundTrip({ tor: TOR.passing, fields, flags: 0x0001 }).parsed;
+  assert.deepEqual(valuesOf(wide), valuesOf(narrow));
+  assert.equal(wide.spare - narrow.spare, 3 * fields.length);
+});
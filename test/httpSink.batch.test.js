@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { HttpSink } = require('../src/sinks/httpSink');
+
+// HttpSink batch mode against a local receiver; reply(items, request) decides each response
+
+async function setup(t, reply, batch = {}) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', async () => {
+      const request = { headers: req.headers, items: JSON.parse(body) };
+      requests.push(request);
+      const { status = 200, json = {}, delayMs = 0 } = (await reply(request.items, request)) || {};
+      setTimeout(() => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(json));
+      }, delayMs);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'p3-batch-'));
+
+  const queued = [];
+  const sink = new HttpSink({
+    name: 'webhook',
+    queueFile: path.join(dir, 'queue.json'),
+    settings: {
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      path: '/hook',
+      retries: 0,
+      minIntervalMs: 0,
+      batch: { enabled: true, maxBatchSize: 4, maxLatencyMs: 20, ...batch }
+    },
+    hooks: { onQueuedResult: (entry, result) => queued.push({ entry, result }) }
+  });
+  sink.start();
+  t.after(async () => {
+    await sink.stop();
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return { sink, requests, queued, queueFile: path.join(dir, 'queue.json') };
+}
+
+const record = (n) => ({ torName: 'passing', eventKey: `passing:4660:${n}:${n}000`, decoded: { passingNumber: n } });
+const sendAll = (sink, numbers) => Promise.all(numbers.map((n) => sink.send(record(n), { eventId: `e${n}` })));
+
+test('sends up to maxBatchSize payloads as one array', async (t) => {
+  const { sink, requests } = await setup(t, () => ({}));
+  const results = await sendAll(sink, [1, 2, 3, 4, 5]);
+  assert.ok(results.every((r) => r.status === 'sent'));
+  assert.deepEqual(requests.map((r) => r.items.map((item) => item.decoded.passingNumber)), [[1, 2, 3, 4], [5]]);
+  // A batch carries a key derived from its items; a single item its own eventKey
+  assert.match(requests[0].headers['idempotency-key'], /^batch:[0-9a-f]{32}$/);
+  assert.equal(requests[1].headers['idempotency-key'], 'passing:4660:5:5000');
+  assert.equal(sink.health().batchesSent, 2);
+});
+
+test('per-item results: 429/5xx items are queued, other rejections fail', async (t) => {
+  const { sink, queueFile } = await setup(t, () => ({
+    json: { results: [{ ok: true }, { ok: false, status: 400, error: 'bad passing' }, { ok: false, status: 503 }, false] }
+  }));
+  const results = await sendAll(sink, [1, 2, 3, 4]);
+  assert.deepEqual(results, [
+    { status: 'sent', httpStatus: 200 },
+    { status: 'failed', httpStatus: 400, error: 'bad passing' },
+    { status: 'queued', httpStatus: 503, error: 'item rejected (503)' },
+    { status: 'failed', httpStatus: 200, error: 'item rejected' }
+  ]);
+  assert.equal(sink.queueSize(), 1);
+  const [entry] = JSON.parse(fs.readFileSync(queueFile, 'utf8'));
+  assert.deepEqual(entry.data, [record(3)]);
+  assert.equal(entry.headers['Idempotency-Key'], 'passing:4660:3:3000');
+  assert.equal(sink.health().lastError, '3 of 4 batch items rejected');
+});
+
+test('a bare array of results works too', async (t) => {
+  const { sink } = await setup(t, (items) => ({ json: items.map((item) => item.decoded.passingNumber !== 2) }));
+  const results = await sendAll(sink, [1, 2]);
+  assert.deepEqual(results.map((r) => r.status), ['sent', 'failed']);
+});
+
+test('a failed request queues every item, one by one', async (t) => {
+  const { sink } = await setup(t, () => ({ status: 500 }));
+  const results = await sendAll(sink, [1, 2, 3]);
+  assert.deepEqual(results.map((r) => r.status), ['queued', 'queued', 'queued']);
+  assert.equal(sink.queueSize(), 3);
+});
+
+test('a queued item is dropped when a retry rejects it for good', async (t) => {
+  let call = 0;
+  const { sink, queued } = await setup(t, (items) => {
+    call += 1;
+    if (call === 1) return { json: items.map(() => ({ ok: false, status: 503 })) };
+    if (call === 2) return { json: [{ ok: false, status: 503 }] };
+    return { json: [{ ok: false, status: 422, error: 'unknown transponder' }] };
+  });
+  await sendAll(sink, [1]);
+  assert.equal(sink.queueSize(), 1);
+
+  await sink.queue.drain('test');
+  assert.equal(sink.queueSize(), 1);
+  assert.deepEqual(queued[0].result, { ok: false, status: 503, queued: true });
+
+  await sink.queue.drain('test');
+  assert.equal(sink.queueSize(), 0);
+  assert.deepEqual(queued[1].result, { ok: false, status: 422, queued: false, error: 'unknown transponder' });
+});
+
+test('stop() queues waiting items and waits for batches in flight', async (t) => {
+  const { sink, queueFile } = await setup(t, () => ({ status: 503, delayMs: 200 }), { maxBatchSize: 2, maxLatencyMs: 10_000 });
+  const results = sendAll(sink, [1, 2, 3]);
+  // 1 and 2 are being posted, 3 waits for its batch
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  await sink.stop();
+  assert.deepEqual((await results).map((r) => r.status), ['queued', 'queued', 'queued']);
+  const saved = JSON.parse(fs.readFileSync(queueFile, 'utf8'));
+  assert.deepEqual(saved.map((entry) => entry.data[0].decoded.passingNumber).sort(), [1, 2, 3]);
+});
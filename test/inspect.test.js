@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bytesFromText, inspectBytes, escapePositions, formatTable } = require('../src/p3/inspect');
+const { encodeRecord } = require('../src/p3/encoder');
+const { TOR } = require('../src/p3/types');
+
+// What `p3-bridge decode` does with pasted text
+
+const record = encodeRecord({ tor: TOR.passing, fields: [{ tof: 0x01, value: 0x8a }, { tof: 0x03, value: 1001 }] });
+const hex = record.toString('hex');
+
+test('reads the usual ways hex gets pasted', () => {
+  const spaced = hex.match(/../g).join(' ');
+  assert.deepEqual(bytesFromText(hex), record);
+  assert.deepEqual(bytesFromText(spaced.toUpperCase()), record);
+  assert.deepEqual(bytesFromText(spaced.split(' ').map((b) => `0x${b}`).join(',')), record);
+  assert.deepEqual(bytesFromText(spaced.split(' ').map((b) => `\\x${b}`).join('')), record);
+
+  // A parse error log line: escapedHex is taken, its unescapedHex copy is not
+  const logLine = `P3 parse error {"escapedHex":"${spaced}","unescapedHex":"8e 02"}`;
+  assert.deepEqual(bytesFromText(logLine), record);
+
+  // Wireshark "Copy as Hex Dump": offsets and the ASCII column are ignored
+  const dump = [];
+  for (let i = 0; i < record.length; i += 16) {
+    const chunk = record.subarray(i, i + 16);
+    dump.push(`${i.toString(16).padStart(4, '0')}   ${[...chunk].map((b) => b.toString(16).padStart(2, '0')).join(' ')}   ${'.'.repeat(chunk.length)}`);
+  }
+  assert.deepEqual(bytesFromText(dump.join('\n')), record);
+
+  assert.throws(() => bytesFromText('8e0'), /odd number of hex digits/);
+});
+
+test('lists records with offsets, escapes and skipped bytes', () => {
+  const bytes = Buffer.concat([Buffer.from([0x00, 0x00]), record, record.subarray(0, 6)]);
+  const result = inspectBytes(bytes);
+
+  assert.equal(result.records.length, 1);
+  const [r] = result.records;
+  assert.equal(r.offset, 2);
+  assert.equal(r.length, record.length);
+  assert.equal(r.parsed.crc.ok, true);
+  assert.equal(r.decoded.passingNumber, 0x8a);
+  assert.equal(r.decoded.transponder, 1001);
+  assert.deepEqual(r.escapes, escapePositions(record));
+  assert.ok(r.escapes.some((e) => e.value === 0x8a));
+
+  assert.deepEqual(result.discarded, [{ reason: 'garbage', offset: 0, bytes: 2 }]);
+  assert.equal(result.trailingBytes, 6);
+
+  const table = formatTable(result);
+  assert.match(table, /#1 @2 {2}passing \(TOR 0x0001\)/);
+  assert.match(table, /CRC ok/);
+  assert.match(table, /escapes: @\d+ -> 0x8a/);
+  assert.match(table, /skipped 2 byte\(s\) at @0 \(garbage\)/);
+  assert.match(table, /6 trailing byte\(s\) without EOR/);
+});
+
+test('flags a bad CRC', () => {
+  const broken = Buffer.from(record);
+  broken[4] ^= 0x01;
+  const { records } = inspectBytes(broken);
+  assert.equal(records[0].parsed.crc.ok, false);
+  assert.match(formatTable({ records, discarded: [], trailingBytes: 0 }), /CRC BAD/);
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const mqtt = require('mqtt');
+const createBroker = require('aedes');
+const { MqttSink, renderTopic } = require('../src/sinks/mqttSink');
+
+// MqttSink against a local in-process broker
+
+// Cleanups run newest first, so clients are gone before their broker closes
+function cleanups(t) {
+  const fns = [];
+  t.after(async () => {
+    for (const fn of fns.reverse()) await fn();
+  });
+  return (fn) => fns.push(fn);
+}
+
+async function startBroker(defer) {
+  const broker = createBroker();
+  const server = net.createServer(broker.handle);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  defer(async () => {
+    await new Promise((resolve) => broker.close(resolve));
+    await new Promise((resolve) => server.close(resolve));
+  });
+  return `mqtt://127.0.0.1:${server.address().port}`;
+}
+
+async function subscribe(defer, url, topic) {
+  const messages = [];
+  const client = mqtt.connect(url, { reconnectPeriod: 0 });
+  client.on('message', (topicName, message, packet) => messages.push({ topic: topicName, body: JSON.parse(message), retain: packet.retain }));
+  await new Promise((resolve, reject) => {
+    client.once('connect', () => client.subscribe(topic, { qos: 1 }, (err) => (err ? reject(err) : resolve())));
+    client.once('error', reject);
+  });
+  defer(() => new Promise((resolve) => client.end(true, {}, resolve)));
+  return messages;
+}
+
+function waitFor(check, timeoutMs, what) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const timer = setInterval(() => {
+      const hit = check();
+      if (hit) {
+        clearInterval(timer);
+        resolve(hit);
+      } else if (Date.now() - started > timeoutMs) {
+        clearInterval(timer);
+        reject(new Error(`timed out waiting for ${what}`));
+      }
+    }, 20);
+  });
+}
+
+async function startSink(defer, url, settings = {}) {
+  const sink = new MqttSink({ name: 'mqtt', settings: { url, qos: 1, reconnectPeriodMs: 100, ...settings } });
+  sink.start();
+  defer(() => sink.stop());
+  await waitFor(() => sink.health().connected, 5000, 'sink to connect');
+  return sink;
+}
+
+const passing = { torName: 'passing', tor: 1, decoded: { decoderId: 4660, passingNumber: 12, transponder: 1001 } };
+const status = { torName: 'status', tor: 2, decoded: { decoderId: 4660, noise: 31 } };
+
+test('renderTopic fills the template and keeps wildcards out of topic levels', () => {
+  assert.equal(renderTopic('p3/{decoderId}/{torName}', passing, '10.0.0.5:5403'), 'p3/4660/passing');
+  assert.equal(renderTopic('p3/{source}/{tor}/{transponder}', passing, '10.0.0.5:5403'), 'p3/10.0.0.5:5403/0x0001/1001');
+  assert.equal(renderTopic('p3/{transponder}', { decoded: { tranCode: 'A/B+#' } }), 'p3/A_B__');
+  assert.equal(renderTopic('p3/{decoderId}/{nope}', { torName: 'ping' }), 'p3/unknown/{nope}');
+});
+
+test('publishes payloads to the templated topic', { timeout: 20_000 }, async (t) => {
+  const defer = cleanups(t);
+  const url = await startBroker(defer);
+  const messages = await subscribe(defer, url, 'p3/4660/#');
+  const sink = await startSink(defer, url);
+
+  const result = await sink.send({ ...passing, transformed: true }, { source: '10.0.0.5:5403', record: passing });
+  assert.deepEqual(result, { status: 'sent', topic: 'p3/4660/passing' });
+
+  const got = await waitFor(() => messages.find((m) => m.topic === 'p3/4660/passing'), 5000, 'the passing');
+  assert.equal(got.body.transformed, true);
+  assert.equal(got.retain, false);
+});
+
+test('retains the last status per decoder', { timeout: 20_000 }, async (t) => {
+  const defer = cleanups(t);
+  const url = await startBroker(defer);
+  const sink = await startSink(defer, url);
+  assert.equal((await sink.send(status, { source: '10.0.0.5:5403' })).status, 'sent');
+
+  // A subscriber that arrives later still gets it
+  const messages = await subscribe(defer, url, 'p3/4660/status');
+  const got = await waitFor(() => messages[0], 5000, 'the retained status');
+  assert.equal(got.retain, true);
+  assert.equal(got.body.decoded.noise, 31);
+});
+
+test('announces itself online, sets a last will and reconnects', { timeout: 20_000 }, async (t) => {
+  const defer = cleanups(t);
+  const url = await startBroker(defer);
+  const messages = await subscribe(defer, url, 'p3/bridge/status');
+  const sink = await startSink(defer, url);
+  await waitFor(() => messages.find((m) => m.body.online === true), 5000, 'online status');
+
+  // Drop the connection without a DISCONNECT: the broker publishes the will
+  sink.client.stream.destroy();
+  await waitFor(() => messages.find((m) => m.body.online === false), 5000, 'last will');
+
+  await waitFor(() => sink.health().reconnects > 0 && sink.health().connected, 5000, 'reconnect');
+  await waitFor(() => messages.filter((m) => m.body.online === true).length >= 2, 5000, 'online again');
+  assert.equal((await sink.send(passing, { source: '10.0.0.5:5403' })).status, 'sent');
+});
+
+test('counts publishes made while offline as queued', { timeout: 20_000 }, async (t) => {
+  const sink = new MqttSink({ name: 'mqtt', settings: { url: 'mqtt://127.0.0.1:1', reconnectPeriodMs: 60_000, maxQueued: 1 } });
+  sink.start();
+  t.after(() => sink.stop());
+
+  assert.deepEqual(await sink.send(passing, {}), { status: 'queued', topic: 'p3/4660/passing', error: 'mqtt offline' });
+  assert.equal(sink.queueSize(), 1);
+  assert.equal((await sink.send(passing, {})).status, 'failed');
+  assert.equal(sink.health().ok, false);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassingNumberTracker } = require('../src/p3/passingTracker');
+
+const KEY = '10.0.0.5:5403#4660';
+const T0 = 1760000000000000; // rtcTime, µs
+
+function tracker(t, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'p3-passings-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new PassingNumberTracker({ filePath: path.join(dir, 'passing-numbers.json'), ...options });
+}
+
+// Feeds numbers 1..n, one second apart
+function count(trk, n, key = KEY) {
+  for (let pn = 1; pn <= n; pn++) trk.observe(key, pn, { time: T0 + pn * 1e6 });
+}
+
+test('counts gaps and recovers the missing passings', (t) => {
+  const trk = tracker(t);
+  assert.equal(trk.observe(KEY, 10).status, 'first');
+  assert.equal(trk.observe(KEY, 11).status, 'next');
+  assert.deepEqual(trk.observe(KEY, 15), { status: 'gap', gap: { from: 12, until: 14, count: 3 } });
+  assert.equal(trk.observe(KEY, 13).status, 'recovered');
+  assert.equal(trk.observe(KEY, 13).status, 'repeat');
+  assert.deepEqual(trk.summary()[KEY], {
+    lastPassingNumber: 15, updatedAt: trk.summary()[KEY].updatedAt, gaps: 1, missing: 3, recovered: 1, resets: 0, outstanding: 2
+  });
+  assert.equal(trk.observe('other', 5).status, 'first');
+  assert.equal(trk.observe(KEY, -1).status, 'invalid');
+});
+
+test('clips a long gap to maxGap passings', (t) => {
+  const trk = tracker(t, { maxGap: 100 });
+  trk.observe(KEY, 1);
+  assert.deepEqual(trk.observe(KEY, 1000).gap, { from: 900, until: 999, count: 998 });
+});
+
+test('a resend that starts at 1 is not a counter restart', (t) => {
+  const trk = tracker(t);
+  count(trk, 500);
+  // Operator asked for passings 1..3: old numbers with old times
+  for (let pn = 1; pn <= 3; pn++) assert.equal(trk.observe(KEY, pn, { time: T0 + pn * 1e6 }).status, 'repeat');
+  // Without a time a low number is not taken as a restart either
+  assert.equal(trk.observe(KEY, 1).status, 'repeat');
+  assert.equal(trk.observe(KEY, 501, { time: T0 + 501e6 }).status, 'next');
+  assert.equal(trk.summary()[KEY].resets, 0);
+});
+
+test('a gap range that includes 1 is recovered, not a restart', (t) => {
+  const trk = tracker(t);
+  trk.observe(KEY, 0, { time: T0 });
+  assert.equal(trk.observe(KEY, 5, { time: T0 + 5e6 }).status, 'gap');
+  assert.equal(trk.observe(KEY, 1, { time: T0 + 1e6 }).status, 'recovered');
+  assert.equal(trk.summary()[KEY].lastPassingNumber, 5);
+});
+
+test('a cleared decoder starting at 1 with a newer passing is a restart', (t) => {
+  const trk = tracker(t);
+  count(trk, 500);
+  assert.equal(trk.observe(KEY, 1, { time: T0 + 600e6 }).status, 'reset');
+  assert.equal(trk.observe(KEY, 2, { time: T0 + 601e6 }).status, 'next');
+  assert.equal(trk.summary()[KEY].resets, 1);
+});
+
+test('a number far below the last one is a restart', (t) => {
+  const trk = tracker(t, { maxGap: 100 });
+  count(trk, 500);
+  assert.equal(trk.observe(KEY, 300).status, 'reset');
+  assert.equal(trk.summary()[KEY].outstanding, 0);
+});
+
+test('forgetSource starts every decoder on that connection afresh', (t) => {
+  const trk = tracker(t);
+  count(trk, 50);
+  count(trk, 50, '10.0.0.5:5403');
+  count(trk, 50, '10.0.0.6:5403#1');
+  assert.equal(trk.forgetSource('10.0.0.5:5403'), 2);
+  assert.equal(trk.observe(KEY, 1).status, 'first');
+  assert.equal(trk.observe('10.0.0.6:5403#1', 51).status, 'next');
+});
+
+test('state survives a restart', async (t) => {
+  const trk = tracker(t);
+  count(trk, 20);
+  trk.observe(KEY, 25, { time: T0 + 25e6 });
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  const again = new PassingNumberTracker({ filePath: trk.filePath });
+  assert.equal(again.summary()[KEY].lastPassingNumber, 25);
+  assert.equal(again.observe(KEY, 22).status, 'recovered');
+  // The saved time still tells a resend of passing 1 from a restart
+  assert.equal(again.observe(KEY, 1, { time: T0 + 1e6 }).status, 'repeat');
+  assert.equal(again.observe(KEY, 1, { time: T0 + 90e6 }).status, 'reset');
+});
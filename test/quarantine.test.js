@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { QuarantineStore } = require('../src/p3/quarantine');
+
+function store(t, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'p3-quarantine-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new QuarantineStore({ filePath: path.join(dir, 'quarantine.json'), ...options });
+}
+
+const parsed = (n) => ({ tor: 1, torName: 'passing', crc: { in: n, calc: n + 1 }, raw: { escapedHex: '8e 02 8f' } });
+const payload = (n) => ({ torName: 'passing', decoded: { decoderId: 4660, transponder: 1000 + n, passingNumber: n } });
+
+test('a burst of records is saved without blocking each add', async (t) => {
+  const q = store(t);
+  const writes = [];
+  const { writeFile } = fs.promises;
+  fs.promises.writeFile = (...args) => { writes.push(args[0]); return writeFile(...args); };
+  t.after(() => { fs.promises.writeFile = writeFile; });
+
+  for (let n = 1; n <= 50; n++) q.add({ source: '10.0.0.5:5403', parsed: parsed(n), payload: payload(n), eventId: `e${n}` });
+  assert.equal(fs.existsSync(q.filePath), false);
+  await q.flush();
+  assert.ok(writes.length <= 2, `${writes.length} writes`);
+
+  const saved = fs.readFileSync(q.filePath, 'utf8');
+  assert.equal(saved.includes('\n'), false);
+  const again = new QuarantineStore({ filePath: q.filePath });
+  assert.equal(again.size(), 50);
+  assert.deepEqual(again.list(1)[0], {
+    id: again.entries[49].id,
+    quarantinedAt: again.entries[49].quarantinedAt,
+    reason: 'crc',
+    source: '10.0.0.5:5403',
+    tor: 1,
+    torName: 'passing',
+    crc: { in: 50, calc: 51 },
+    decoderId: 4660,
+    transponder: 1050,
+    passingNumber: 50
+  });
+});
+
+test('drops the oldest beyond maxEntries; remove and clear are saved', async (t) => {
+  const q = store(t, { maxEntries: 3 });
+  const sizes = [];
+  q.onChange = (size) => sizes.push(size);
+  const ids = [];
+  for (let n = 1; n <= 4; n++) {
+    const { entry, dropped } = q.add({ source: 's', parsed: parsed(n), payload: payload(n) });
+    ids.push(entry.id);
+    assert.equal(dropped, n === 4 ? 1 : 0);
+  }
+  assert.equal(q.get(ids[0]), null);
+  assert.equal(q.remove(ids[1]).payload.decoded.passingNumber, 2);
+  assert.equal(q.remove('nope'), null);
+  await q.flush();
+  assert.deepEqual(new QuarantineStore({ filePath: q.filePath }).entries.map((e) => e.id), [ids[2], ids[3]]);
+
+  assert.equal(q.clear(), 2);
+  await q.flush();
+  assert.equal(new QuarantineStore({ filePath: q.filePath }).size(), 0);
+  assert.deepEqual(sizes, [1, 2, 3, 3, 2, 0]);
+});
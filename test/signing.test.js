@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSigner, verifySignature, computeSignature, TIMESTAMP_HEADER, SIGNATURE_HEADER, DEFAULT_SECRET_ENV } = require('../src/http/signing');
+
+const SECRET = 'test-secret';
+const NOW = 1760000000000;
+const body = JSON.stringify({ torName: 'passing', decoded: { transponder: 1001 } });
+
+function signed(options = {}) {
+  const sign = createSigner({ secret: SECRET }, { now: () => NOW });
+  return sign(options.body ?? body);
+}
+
+test('signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+  const headers = signed();
+  assert.equal(headers[TIMESTAMP_HEADER], String(NOW / 1000));
+  assert.equal(headers[SIGNATURE_HEADER], `sha256=${computeSignature(SECRET, NOW / 1000, body)}`);
+  assert.match(headers[SIGNATURE_HEADER], /^sha256=[0-9a-f]{64}$/);
+});
+
+test('a receiver accepts what the signer produced', () => {
+  const headers = signed();
+  assert.deepEqual(verifySignature({ secret: SECRET, body, headers, now: NOW }), { ok: true });
+  // Node's lower-cased request headers and a Buffer body, as a receiver gets them
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  assert.deepEqual(verifySignature({ secret: SECRET, body: Buffer.from(body), headers: lower, now: NOW }), { ok: true });
+  // Fetch-style Headers
+  assert.deepEqual(verifySignature({ secret: SECRET, body, headers: new Headers(headers), now: NOW }), { ok: true });
+});
+
+test('rejects tampering, a wrong secret and missing headers', () => {
+  const headers = signed();
+  const check = (overrides) => verifySignature({ secret: SECRET, body, headers, now: NOW, ...overrides }).error;
+  assert.equal(check({ body: body.replace('1001', '1002') }), 'signature mismatch');
+  assert.equal(check({ secret: 'other' }), 'signature mismatch');
+  assert.equal(check({ headers: { ...headers, [TIMESTAMP_HEADER]: String(NOW / 1000 + 1) } }), 'signature mismatch');
+  assert.equal(check({ headers: {} }), 'missing signature headers');
+  assert.equal(check({ headers: { ...headers, [SIGNATURE_HEADER]: 'md5=abc' } }), 'invalid signature format');
+  assert.equal(check({ headers: { ...headers, [TIMESTAMP_HEADER]: 'yesterday' } }), 'invalid timestamp');
+  assert.equal(check({ secret: '' }), 'no secret');
+});
+
+test('rejects old timestamps unless the tolerance is switched off', () => {
+  const headers = signed();
+  const later = NOW + 301_000;
+  assert.equal(verifySignature({ secret: SECRET, body, headers, now: later }).error, 'timestamp outside tolerance');
+  assert.equal(verifySignature({ secret: SECRET, body, headers, now: later, toleranceSec: 600 }).ok, true);
+  assert.equal(verifySignature({ secret: SECRET, body, headers, now: later, toleranceSec: null }).ok, true);
+});
+
+test('signer config: off, secret from the environment, or an error', (t) => {
+  assert.equal(createSigner(null), null);
+  assert.equal(createSigner({ enabled: false, secret: SECRET }), null);
+
+  const saved = { [DEFAULT_SECRET_ENV]: process.env[DEFAULT_SECRET_ENV], P3_TEST_SECRET: process.env.P3_TEST_SECRET };
+  t.after(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+  delete process.env[DEFAULT_SECRET_ENV];
+  assert.throws(() => createSigner({ enabled: true }), /no secret/);
+
+  process.env.P3_TEST_SECRET = SECRET;
+  const headers = createSigner({ secretEnv: 'P3_TEST_SECRET' }, { now: () => NOW })(body);
+  assert.equal(verifySignature({ secret: SECRET, body, headers, now: NOW }).ok, true);
+});
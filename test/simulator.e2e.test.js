@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { spawn } = require('child_process');
+const { DecoderSimulator } = require('../src/sim/simulator');
+
+// The bridge as a separate process, fed by the decoder simulator over TCP, posting to a local receiver
+
+const BRIDGE = path.join(__dirname, '..', 'src', 'index.js');
+
+function startReceiver(onPost) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      onPost({ path: req.url, headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+  });
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function waitFor(check, timeoutMs, what) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const timer = setInterval(() => {
+      if (check()) {
+        clearInterval(timer);
+        resolve();
+      } else if (Date.now() - started > timeoutMs) {
+        clearInterval(timer);
+        reject(new Error(`timed out waiting for ${what}`));
+      }
+    }, 50);
+  });
+}
+
+test('simulated passings reach the webhook', { timeout: 60_000 }, async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'p3-bridge-e2e-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const posts = [];
+  const receiver = await startReceiver((post) => posts.push(post));
+  t.after(() => new Promise((resolve) => receiver.close(resolve)));
+
+  const sim = new DecoderSimulator({
+    tcp: { host: '127.0.0.1', port: 0 },
+    transponders: 3,
+    lapTime: { meanSec: 0.4 },
+    statusIntervalSec: 0,
+    seed: 13
+  });
+  await sim.start();
+  t.after(() => sim.stop());
+
+  const cfgPath = path.join(dir, 'config.json');
+  fs.writeFileSync(cfgPath, JSON.stringify({
+    // Laps are far shorter than the default duplicate window
+    defaults: { mode: 'tcp', tcpHosts: [{ ip: '127.0.0.1', port: sim.server.address().port }], transponderDuplicateWindowSec: 0 },
+    post: { enabled: true, baseUrl: `http://127.0.0.1:${receiver.address().port}`, path: '/hook', minIntervalMs: 0, retries: 0 },
+    timer: { enabled: false },
+    admin: { enabled: false },
+    logging: { dir: path.join(dir, 'logs'), console: false }
+  }));
+
+  const bridge = spawn(process.execPath, [BRIDGE, '--config', cfgPath], { cwd: dir, stdio: ['ignore', 'ignore', 'pipe'] });
+  let stderr = '';
+  bridge.stderr.on('data', (chunk) => { stderr += chunk; });
+  const exited = new Promise((resolve) => bridge.once('exit', (code) => resolve(code)));
+  t.after(async () => {
+    if (bridge.exitCode == null) bridge.kill('SIGKILL');
+    await exited;
+  });
+
+  const passings = () => posts.filter((p) => p.body.torName === 'passing');
+  await waitFor(() => passings().length >= 6 || bridge.exitCode != null, 20_000, 'six passings');
+  assert.equal(bridge.exitCode, null, `bridge exited early: ${stderr}`);
+
+  // The decoder's Version record on connect goes out like any other record
+  assert.ok(posts.some((p) => p.body.torName === 'version'));
+
+  // Passings made before the bridge connected stay in the simulator's history, so numbering
+  // starts wherever the decoder was; after that it has no gaps. Posts may overlap, so sort first.
+  const got = passings().slice(0, 6).sort((a, b) => a.body.decoded.passingNumber - b.body.decoded.passingNumber);
+  const first = got[0].body.decoded.passingNumber;
+  const transponders = sim.transponders.map(String);
+  got.forEach((post, i) => {
+    const { body, headers } = post;
+    assert.equal(post.path, '/hook');
+    assert.equal(body.crcOk, true);
+    assert.equal(body.source, `127.0.0.1:${sim.server.address().port}`);
+    assert.equal(body.decoded.decoderId, 0x1234);
+    assert.equal(body.decoded.passingNumber, first + i);
+    assert.ok(transponders.includes(String(body.decoded.transponder)), `transponder ${body.decoded.transponder}`);
+    assert.match(body.eventKey, /^passing:4660:\d+:\d+$/);
+    assert.equal(headers['idempotency-key'], body.eventKey);
+  });
+
+  // SIGTERM shuts the bridge down cleanly
+  bridge.kill('SIGTERM');
+  assert.equal(await exited, 0, stderr);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { StreamP3Decoder, SOR } = require('../src/p3/decoder');
+const { encodeRecord } = require('../src/p3/encoder');
+const { TOR } = require('../src/p3/types');
+
+function passing(number) {
+  return encodeRecord({ tor: TOR.passing, fields: [{ tof: 0x01, value: number }, { tof: 0x03, value: 0x8e8f }] });
+}
+
+function collect(options) {
+  const records = [];
+  const discards = [];
+  const decoder = new StreamP3Decoder((parsed) => records.push(parsed), { ...options, onDiscard: (d) => discards.push(d) });
+  const numbers = () => records.map((r) => r.fields.find((f) => f.tof === 0x01)?.value);
+  return { decoder, records, discards, numbers };
+}
+
+test('frames records split at every byte', () => {
+  const { decoder, records, numbers } = collect();
+  const stream = Buffer.concat([passing(1), passing(2), passing(3)]);
+  for (const byte of stream) decoder.push(Buffer.from([byte]));
+  assert.deepEqual(numbers(), [1, 2, 3]);
+  assert.ok(records.every((r) => r.ok && r.crc.ok));
+  assert.equal(decoder.bufferedBytes, 0);
+  assert.equal(decoder.stats.bytesIn, stream.length);
+  assert.equal(decoder.stats.discardedBytes, 0);
+});
+
+test('skips garbage before, between and after records', () => {
+  const { decoder, discards, numbers } = collect();
+  decoder.push(Buffer.from([0x00, 0x41, 0x8f]));
+  decoder.push(Buffer.concat([passing(1), Buffer.from('noise'), passing(2)]));
+  decoder.push(Buffer.from([0x01, 0x02]));
+  assert.deepEqual(numbers(), [1, 2]);
+  assert.equal(decoder.stats.garbageBytes, 3 + 5 + 2);
+  assert.ok(discards.every((d) => d.reason === 'garbage'));
+});
+
+test('resyncs on the next SOR when a record loses its tail', () => {
+  const { decoder, discards, numbers } = collect();
+  const cut = passing(1).subarray(0, 12);
+  decoder.push(Buffer.concat([cut, passing(2)]));
+  assert.deepEqual(numbers(), [2]);
+  assert.equal(decoder.stats.truncatedRecords, 1);
+  assert.deepEqual(discards, [{ reason: 'truncated', bytes: cut.length }]);
+});
+
+test('drops a partial record longer than maxRecordBytes and recovers', () => {
+  const { decoder, discards, numbers } = collect({ maxRecordBytes: 64 });
+  // A SOR that never gets an EOR, fed in pieces until it overflows
+  decoder.push(Buffer.from([SOR]));
+  for (let i = 0; i < 10; i++) decoder.push(Buffer.alloc(10, 0x11));
+  assert.equal(decoder.stats.overflows, 1);
+  assert.equal(discards[0].reason, 'overflow');
+  assert.ok(discards[0].bytes > 64);
+
+  decoder.push(Buffer.concat([Buffer.alloc(5, 0x22), passing(7)]));
+  assert.deepEqual(numbers(), [7]);
+  assert.equal(decoder.bufferedBytes, 0);
+});
+
+test('keeps a record that is waiting for its EOR', () => {
+  const { decoder, numbers } = collect({ maxRecordBytes: 64 });
+  const record = passing(9);
+  decoder.push(record.subarray(0, record.length - 1));
+  assert.deepEqual(numbers(), []);
+  assert.equal(decoder.bufferedBytes, record.length - 1);
+  decoder.push(record.subarray(record.length - 1));
+  assert.deepEqual(numbers(), [9]);
+  assert.equal(decoder.stats.overflows, 0);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeRecord } = require('../src/p3/encoder');
+const { parseRecordFromEscapedBytes } = require('../src/p3/decoder');
+const { setProtocolOverrides } = require('../src/p3/registry');
+const { normalizeFields } = require('../src/p3/units');
+const { TOR } = require('../src/p3/types');
+
+// A passing with voltage 37 (1/10 V) and temperature 125 (°C + 100), encoded before any override
+const record = encodeRecord({ tor: TOR.passing, fields: [{ tof: 0x30, value: 37 }, { tof: 0x31, value: 125 }] });
+
+// Decoded with the active definitions and normalized like payload.js does
+function normalizedPassing() {
+  const parsed = parseRecordFromEscapedBytes(record);
+  assert.equal(parsed.ok, true, parsed.error);
+  return normalizeFields(parsed.torName, parsed.fields);
+}
+
+function withOverrides(t, definitions) {
+  setProtocolOverrides([{ label: 'test', definitions }]);
+  t.after(() => setProtocolOverrides([]));
+}
+
+test('built-in conversions', () => {
+  assert.deepEqual(normalizedPassing(), { voltage: { value: 3.7, unit: 'V' }, temperature: { value: 25, unit: '°C' } });
+});
+
+test('a field scaled by a user definition is not converted again', (t) => {
+  withOverrides(t, { tors: { '0x0001': { tofs: { '0x30': { scale: 0.1 }, '0x31': { scale: 2, unit: 'F' } } } } });
+  assert.deepEqual(normalizedPassing(), { voltage: { value: 3.7 }, temperature: { value: 250, unit: 'F' } });
+});
+
+test('a user unit without a scale keeps the raw value', (t) => {
+  withOverrides(t, { tors: { '0x0001': { tofs: { '0x30': { unit: 'dV' } } } } });
+  assert.deepEqual(normalizedPassing().voltage, { value: 37, unit: 'dV' });
+});
+
+test('enum labels are left out', (t) => {
+  withOverrides(t, { tors: { '0x0001': { tofs: { '0x30': { enum: { 37: 'ok' } } } } } });
+  assert.equal(normalizedPassing().voltage, undefined);
+});